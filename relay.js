@@ -0,0 +1,93 @@
+import { WebSocketServer } from 'ws';
+
+// Small message relay for offline play: `npm run relay`, then open the game with
+// ?transport=local&relay=ws://localhost:8787 in two browsers and create/join a room.
+// Conversations only live in memory for as long as the relay runs.
+
+const port = Number(process.argv[2]) || 8787;
+const maxParticipants = 2;
+const conversations = new Map();
+
+const getConversation = (id) => {
+    if (!conversations.has(id)) {
+        conversations.set(id, { messages: [], participants: [], settings: null, sockets: new Set() });
+    }
+    return conversations.get(id);
+};
+
+const broadcast = (conversation, frame) => {
+    const data = JSON.stringify(frame);
+    conversation.sockets.forEach(socket => socket.send(data));
+};
+
+const main = () => {
+    const server = new WebSocketServer({ port });
+
+    server.on('connection', (socket) => {
+        let conversation = null;
+
+        socket.on('message', (raw) => {
+            let frame;
+            try {
+                frame = JSON.parse(raw.toString());
+            } catch (error) {
+                return;
+            }
+
+            if (frame.type === 'join') {
+                // Drop malformed joins like unparseable frames, so one bad client can't bring the relay down
+                if (typeof frame.conversationId !== 'string' || typeof frame.user?.id !== 'string') {
+                    return;
+                }
+                const existing = conversations.get(frame.conversationId);
+                const user = frame.user;
+                const isParticipant = existing?.participants.some(p => p.id === user.id);
+
+                if (frame.mode !== 'create' && !existing) {
+                    socket.send(JSON.stringify({ type: 'error', code: 'ROOM_NOT_FOUND' }));
+                    return;
+                }
+                const spectating = frame.mode === 'spectate';
+                if (!spectating && existing && !isParticipant && existing.participants.length >= maxParticipants) {
+                    socket.send(JSON.stringify({ type: 'error', code: 'ROOM_FULL' }));
+                    return;
+                }
+
+                conversation = getConversation(frame.conversationId);
+                conversation.sockets.add(socket);
+                if (frame.mode === 'create' && !conversation.settings) {
+                    conversation.settings = frame.settings || null;
+                }
+                if (!isParticipant && !spectating) {
+                    conversation.participants.push({ id: user.id, name: user.name });
+                }
+                // Messages from this socket are always sent as this participant
+                socket.user = spectating ? null : conversation.participants.find(p => p.id === user.id);
+                socket.send(JSON.stringify({
+                    type: 'history',
+                    messages: conversation.messages,
+                    participants: conversation.participants,
+                    settings: conversation.settings
+                }));
+                broadcast(conversation, { type: 'participants', participants: conversation.participants });
+            } else if (frame.type === 'send' && conversation && socket.user) {
+                // Nobody can post as the other player: such frames are dropped
+                if (frame.message?.sender?.id !== socket.user.id) {
+                    return;
+                }
+                // Stamp with the relay's clock so every client sees the same time, and with the sender recorded at join
+                const message = { ...frame.message, sender: { id: socket.user.id, name: socket.user.name }, timestamp: Date.now() };
+                conversation.messages.push(message);
+                broadcast(conversation, { type: 'message', message });
+            }
+        });
+
+        socket.on('close', () => {
+            if (conversation) conversation.sockets.delete(socket);
+        });
+    });
+
+    console.log(`thelastword relay listening on ws://localhost:${port}`);
+}
+
+main();
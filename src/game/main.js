@@ -1,4 +1,11 @@
-import { MainMenu } from './scenes/MainMenu';
+import { Boot } from './scenes/Boot';
+import { Preloader } from './scenes/Preloader';
+import { Title } from './scenes/Title';
+import { Lobby } from './scenes/Lobby';
+import { Battle } from './scenes/Battle';
+import { GameOver } from './scenes/GameOver';
+import { Replay } from './scenes/Replay';
+import { Settings } from './scenes/Settings';
 import { AUTO, Game } from 'phaser';
 
 //  Find out more information about the Game Config at:
@@ -17,7 +24,14 @@ const config = {
         autoCenter: Phaser.Scale.CENTER_BOTH
     },
     scene: [
-        MainMenu
+        Boot,
+        Preloader,
+        Title,
+        Lobby,
+        Battle,
+        GameOver,
+        Replay,
+        Settings
     ]
 };
 
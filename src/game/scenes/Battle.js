@@ -0,0 +1,1035 @@
+import { Scene } from 'phaser';
+import { TextBoxCreator } from '../utils/TextBoxCreator.js';
+import { ArenaSpace, WIZARD_POSITIONS, getSpellRoute, orientEffects } from '../utils/ArenaSpace.js';
+import { LayoutManager } from '../utils/LayoutManager.js';
+import { SHORTCUTS, UIManager } from '../ui/UIManager.js';
+import { HealthBar } from '../ui/HealthBar.js';
+import { Wizard, WIZARD_TINTS, playBattleResult } from '../ui/Wizard.js';
+import { HistoryPanel } from '../ui/HistoryPanel.js';
+import { BattleLog } from '../ui/BattleLog.js';
+import { announce } from '../ui/announcer.js';
+import { classifyMessage } from '../systems/RulesEngine.js';
+import { BattleState } from '../systems/BattleState.js';
+import { getStandings } from '../systems/rounds.js';
+import { CommandRegistry } from '../systems/CommandRegistry.js';
+import { MatchRecorder } from '../services/MatchRecorder.js';
+import { getSharedServices } from '../services/shared.js';
+import { getRematchCode } from '../services/rooms.js';
+import { getGameSettings, onGameSettingsChange, updateGameSettings } from '../services/gameSettings.js';
+import { downloadMatch, readMatchFile } from '../utils/matchFile.js';
+
+// How each action is read out, e.g. "Alice, fire attack: ..."
+const ACTION_NAMES = {
+    attack: 'attack',
+    ultimate: 'ultimate',
+    defend: 'defence',
+    dodge: 'dodge',
+    taunt: 'taunt'
+};
+
+// Time between the knockout and the GameOver scene, to watch the wizards' reactions
+const GAME_OVER_DELAY = 3000;
+
+/**
+ * The battle itself. The Lobby scene has already entered the room through the
+ * shared TalkJSService; this scene attaches to it and plays out the messages.
+ */
+export class Battle extends Scene
+{
+    constructor ()
+    {
+        super('Battle');
+    }
+
+    /**
+     * @param {object} data
+     * @param {string} data.roomCode - Room the Lobby entered
+     */
+    init (data)
+    {
+        this.roomCode = data.roomCode;
+    }
+
+    create ()
+    {
+        this.textBoxes = []; // Store all created text boxes for cleanup
+        this.resyncing = false; // Restarting to rebuild the battle, staying in the room
+        this.currentDepth = 10; // Start depth for layering text boxes
+        
+        // Shared services, plus this battle's own helpers
+        ({ talkJSService: this.talkJSService, soundEngine: this.soundEngine } = getSharedServices(this));
+        this.arena = new ArenaSpace(this);
+        this.textBoxCreator = new TextBoxCreator(this, this.arena);
+        this.layoutManager = new LayoutManager();
+        this.uiManager = new UIManager(this);
+        this.matchRecorder = new MatchRecorder(this.roomCode);
+        
+        // Create turn indicator UI
+        this.createTurnIndicator();
+        this.createConnectionIndicator();
+        this.createScoreboard();
+        
+        this.wizards = {
+            left: new Wizard(this, { tint: WIZARD_TINTS.left }),
+            right: new Wizard(this, { tint: WIZARD_TINTS.right, flipX: true })
+        };
+        this.battleState = null; // Created once the players are known
+        this.healthBars = {};
+        this.layoutWizards();
+        this.arena.onChange(() => this.layoutWizards());
+        this.pendingBattleMessages = []; // Messages received before both players were known
+        this.barriers = {}; // Barrier box standing in front of each player, by player ID
+        this.shownSkips = 0; // Skipped turns already announced
+        this.gameOverTimer = null; // Set once the battle is over
+        
+        // Matches can be exported while recording, and imported any time for viewing
+        this.uiManager.createMatchMenu(
+            () => downloadMatch(this.matchRecorder.getMatch()),
+            (file) => this.importMatch(file),
+            () => this.toggleSettings(),
+            () => this.battleLog.toggle()
+        );
+        this.uiManager.createSoundControls(this.soundEngine.settings, (changes) => this.soundEngine.updateSettings(changes));
+        
+        // Text history and keyboard shortcuts for players who can't follow the canvas
+        this.historyPanel = new HistoryPanel(this);
+        this.historyPanel.create();
+        // Every message, including those whose boxes have been trimmed, by message ID
+        this.battleLog = new BattleLog(this, { onSelect: (id) => this.showLoggedMessage(id) });
+        this.battleLog.create();
+        this.loggedMessages = new Map();
+        this.announcedTurn = null; // Last turn text read out, so it isn't repeated
+        this.uiManager.bindShortcuts({
+            focusInput: () => {
+                if (!this.uiManager.focusInput()) announce("You can't cast right now.");
+            },
+            history: () => this.historyPanel.toggle(),
+            battleLog: () => this.battleLog.toggle(),
+            settings: () => this.toggleSettings(),
+            highContrast: () => {
+                const { highContrast } = updateGameSettings({ highContrast: !getGameSettings().highContrast });
+                announce(`High contrast ${highContrast ? 'on' : 'off'}`);
+            }
+        });
+        
+        // A lower box limit applies straight away
+        this.unsubscribeSettings = onGameSettingsChange(() => this.trimTextBoxes());
+        
+        // Cleanup on scene shutdown; leaving the battle leaves the room
+        this.events.once('shutdown', () => {
+            this.unsubscribeSettings();
+            if (!this.resyncing) {
+                this.talkJSService.disconnect();
+            }
+            this.uiManager.destroy();
+            this.historyPanel.destroy();
+            this.battleLog.destroy();
+            Object.values(this.healthBars).forEach(bar => bar.destroy());
+            // Stop tracking boxes first, so projectiles removed mid-flight don't land on a closed scene
+            this.textBoxCreator.shutdown();
+            this.textBoxes.forEach(box => this.cleanupTextBox(box));
+            this.textBoxes = [];
+            Object.values(this.wizards).forEach(wizard => wizard.destroy());
+            this.arena.destroy();
+        });
+        
+        this.startBattle();
+    }
+
+    /**
+     * Place the wizards (and their health bars) on the arena
+     */
+    layoutWizards() {
+        Object.entries(this.wizards).forEach(([side, wizard]) => {
+            const { x, y } = this.arena.toScreen(WIZARD_POSITIONS[side]);
+            wizard.setLayout(x, y, 0.5 * this.arena.scale);
+        });
+        Object.entries(this.healthBars).forEach(([id, bar]) => {
+            const wizard = this.wizards[this.playerSides[id]];
+            bar.setPosition(wizard.x, wizard.y - wizard.displayHeight / 2 - 30);
+        });
+    }
+    
+    update ()
+    {
+        this.updateTurnTimer();
+    }
+
+    /**
+     * Load a match file and open it in the Replay scene
+     * @param {File} file - JSON file chosen by the user
+     */
+    async importMatch(file) {
+        const { valid, errors, match } = await readMatchFile(file);
+        if (!valid) {
+            console.warn('Rejected match file:', errors);
+            this.showNotice(`Can't import match:\n${errors[0]}`);
+            return;
+        }
+        this.scene.start('Replay', { match, returnScene: 'Title' });
+    }
+
+    /**
+     * Set up the battle and take over the room session from the lobby: the room's
+     * history and any messages that arrived in between are delivered on attach
+     */
+    startBattle() {
+        this.setupBattleState();
+        if (!this.talkJSService.isSpectator()) {
+            // Spectators get no input box, just the names and whose turn it is
+            this.createBattleInput();
+        }
+
+        this.talkJSService.attach({
+            onMessage: (messageText, effectsData, meta) => {
+                if (meta.forfeit) {
+                    this.logMessage(meta, messageText, null);
+                    this.endByForfeit(meta.senderId);
+                    return;
+                }
+                if (meta.rejected) {
+                    this.showRejectedMessage(messageText, effectsData, meta);
+                    return;
+                }
+                this.matchRecorder.record(meta, effectsData);
+                this.narrate(this.describeMessage(meta));
+                // Hit reactions, damage numbers and the KO wait for the spell to land
+                const impactCallbacks = [];
+                const battleResult = this.applyBattleMessage(meta, effectsData, { landed: callback => impactCallbacks.push(callback) });
+                const spellOptions = this.getSpellOptions(meta.senderId, battleResult, () => impactCallbacks.forEach(callback => callback()));
+                this.playSpellSounds(meta.plaintext, effectsData, battleResult, impactCallbacks);
+                const laidOut = this.layoutEffects(messageText, effectsData, meta.senderId);
+                const box = this.createAnimatedTextBox(messageText, laidOut, meta.senderId, spellOptions);
+                this.logMessage(meta, messageText, laidOut, { box });
+            },
+            onTurnChange: (isMyTurn) => {
+                // Update UI based on turn state
+                this.updateTurnIndicator(isMyTurn);
+                if (isMyTurn && !this.battleState?.winnerId) {
+                    this.soundEngine.playTurn();
+                }
+            },
+            onPlayersChange: () => this.setupBattleState(),
+            onHistory: (messages) => this.restoreHistory(messages),
+            onConnectionChange: (state) => this.connectionIndicator.setVisible(state === 'reconnecting'),
+            onResync: () => this.resync()
+        });
+
+        this.updateTurnIndicator(this.talkJSService.getTurnState().isMyTurn);
+    }
+
+    /**
+     * Rebuild the battle once the turns have been judged again in a new order
+     * (two players sent at the same moment): restart the scene without leaving the room,
+     * and the room's history is restored in the corrected order. Recorded messages are kept:
+     * the restore records the new winners and forgets the ones that no longer count
+     */
+    resync() {
+        this.resyncing = true;
+        this.matchRecorder.setOutcome(null);
+        this.scene.restart({ roomCode: this.roomCode });
+    }
+
+    createBattleInput() {
+        // Slash commands; other systems can add their own through this.commands.register()
+        this.commands = new CommandRegistry();
+        this.registerCommands();
+
+        // Create input box with effects processing
+        this.uiManager.createInputBox(async (message, { regenerate }) => {
+            const parsed = this.commands.parse(message);
+            if (parsed?.error) {
+                this.showNotice(parsed.message);
+            } else if (parsed) {
+                await parsed.command.run(parsed.args, { regenerate });
+            } else {
+                await this.castSpell(message, { regenerate });
+            }
+        }, this.commands);
+    }
+
+    /**
+     * Send the player's message for their turn
+     * @param {string} message - Spell names (or /cast <name>) use the spell's preset
+     * @param {object} options
+     * @param {boolean} options.regenerate - Generate fresh effects instead of reusing cached ones
+     * @param {boolean} options.effects - Whether the message gets effects (default: true)
+     */
+    async castSpell(message, { regenerate = false, effects = true } = {}) {
+        // No more spells once someone has been knocked out
+        if (this.battleState?.winnerId) return;
+
+        // Check if it's the player's turn before sending
+        if (!this.talkJSService.canSendMessage()) {
+            console.warn('Not your turn! Wait for the other player.');
+            this.showTurnWarning();
+            return;
+        }
+        
+        // Generate effects and send through the messaging transport
+        // Effects data will be embedded in the message and synced to both clients
+        const result = await this.talkJSService.sendMessage(message, effects, { regenerate });
+        
+        // Handle turn error
+        if (result && result.error === 'NOT_YOUR_TURN') {
+            this.showTurnWarning();
+        } else if (result && (result.error === 'SEND_FAILED' || result.error === 'UNKNOWN_SPELL')) {
+            this.showNotice(result.message);
+        }
+    }
+
+    /**
+     * Register the built-in slash commands
+     */
+    registerCommands() {
+        const { spellCatalog } = this.talkJSService;
+        this.commands.register({
+            name: 'cast',
+            usage: '<spell>',
+            description: 'Cast a spell from the spellbook',
+            run: (args, options) => this.castSpell(`/cast ${args}`, options),
+            suggest: (typed) => spellCatalog.list()
+                .map(spell => spell.name)
+                .filter(name => name.toLowerCase().startsWith(typed.toLowerCase()))
+        });
+        this.commands.register({
+            name: 'shield',
+            description: 'Raise a shield against the next hit',
+            run: (args, options) => this.castSpell('/cast shield', options)
+        });
+        this.commands.register({
+            name: 'emote',
+            usage: '<text>',
+            description: 'Act something out, without effects',
+            run: (args) => (args ? this.castSpell(`*${args}*`, { effects: false }) : this.showNotice('Usage: /emote <text>'))
+        });
+        this.commands.register({
+            name: 'forfeit',
+            description: 'Concede the match',
+            run: async () => {
+                if (this.battleState?.winnerId) return;
+                const result = await this.talkJSService.forfeit();
+                if (result?.error) this.showNotice(result.message);
+            }
+        });
+        this.commands.register({
+            name: 'rematch',
+            description: 'Challenge your opponent again once the battle is over',
+            run: () => this.startRematch()
+        });
+        this.commands.register({
+            name: 'help',
+            description: 'List the commands',
+            run: () => {
+                this.uiManager.showCommandHelp();
+                announce(this.commands.list().map(command => `/${command.name} ${command.usage}: ${command.description}`).join('. '));
+            }
+        });
+    }
+
+    /**
+     * Head to the lobby for a rematch, as the GameOver scene would
+     */
+    startRematch() {
+        if (!this.battleState?.winnerId) {
+            this.showNotice('Finish the battle first,\nor /forfeit it.');
+            return;
+        }
+        this.scene.start('Lobby', { rematch: { code: getRematchCode(this.roomCode), settings: this.talkJSService.getMatchSettings() } });
+    }
+
+    /**
+     * Rebuild the battle from the messages already in the room (e.g. after a reload)
+     * without replaying their animations: state is applied silently and the boxes the
+     * live board would still be showing are placed where they came to rest
+     * @param {Array<{text: string, effects: object|null, meta: object}>} messages - Oldest first
+     */
+    restoreHistory(messages) {
+        let accepted = 0;
+        // Projectiles are gone once they land, taking the target's barrier with them,
+        // and a new barrier replaces the caster's previous one; everything else stays
+        let standing = [];
+        const barriers = {}; // Caster ID -> their standing barrier
+        messages.forEach(({ text, effects, meta }) => {
+            if (meta.forfeit) {
+                this.logMessage(meta, text, null);
+                this.endByForfeit(meta.senderId);
+                return;
+            }
+            if (meta.rejected) {
+                const label = `${text}\n(out of turn)`;
+                const dimmed = effects && { ...orientEffects(effects, this.playerSides?.[meta.senderId]), particles: undefined };
+                this.matchRecorder.forget(meta.id);
+                this.logMessage(meta, label, dimmed, { opacity: 0.4 });
+                standing.push({ id: meta.id, label, effects: dimmed, casterId: meta.senderId, options: { opacity: 0.4 } });
+                return;
+            }
+            this.matchRecorder.record(meta, effects);
+            this.historyPanel.add(this.describeMessage(meta));
+            const result = this.applyBattleMessage(meta, effects, { silent: true });
+            // Every message goes through the layout, so later boxes land where they did for the other player
+            const laidOut = this.layoutEffects(text, effects, meta.senderId);
+            this.logMessage(meta, text, laidOut);
+            accepted++;
+
+            const options = this.getSpellOptions(meta.senderId, result, () => {});
+            if (options.mode === 'projectile') {
+                standing = standing.filter(entry => entry !== barriers[result.targetId]);
+                delete barriers[result.targetId];
+                return;
+            }
+            const entry = { id: meta.id, label: text, effects: laidOut, casterId: meta.senderId, options };
+            if (options.mode === 'barrier') {
+                standing = standing.filter(existing => existing !== barriers[meta.senderId]);
+                barriers[meta.senderId] = entry;
+            }
+            standing.push(entry);
+        });
+        standing.slice(-getGameSettings().maxTextBoxes).forEach(({ id, label, effects, casterId, options }) => {
+            this.loggedMessages.get(id).box = this.createAnimatedTextBox(label, effects, casterId, { ...options, atRest: true });
+        });
+        if (accepted > 0) {
+            announce(`Battle restored: ${accepted} ${accepted === 1 ? 'message' : 'messages'} so far. Press ${SHORTCUTS.history.label} to read them.`);
+        }
+    }
+
+    /**
+     * Turn a message's path to its caster's side, then move it into free space on the arena
+     * @param {string} label - Text shown in the box
+     * @param {object|null} effectsData - Validated effects payload
+     * @param {string} casterId - ID of the sender
+     * @returns {object} - Effects with the adjusted animationPath
+     */
+    layoutEffects(label, effectsData, casterId) {
+        const oriented = orientEffects(effectsData, this.playerSides?.[casterId]);
+        return { ...(oriented || {}), animationPath: this.layoutManager.place(label, oriented) };
+    }
+
+    /**
+     * Create HP tracking and health bars once the players are known.
+     * The local player is always the left wizard; spectators see the room's first player on the left.
+     */
+    setupBattleState() {
+        if (this.battleState) return;
+
+        const combatants = this.talkJSService.getCombatants();
+        if (combatants.length < 2) return;
+
+        const [left, right] = combatants;
+        const settings = this.talkJSService.getMatchSettings();
+        this.battleState = new BattleState([left.id, right.id], { rounds: settings.rounds });
+        this.matchRecorder.setPlayers(combatants);
+        this.matchRecorder.setSettings(settings);
+        this.updateScoreboard();
+        this.playerSides = { [left.id]: 'left', [right.id]: 'right' };
+
+        combatants.forEach(player => {
+            const wizard = this.wizards[this.playerSides[player.id]];
+            const bar = new HealthBar(this, wizard.x, wizard.y - wizard.displayHeight / 2 - 30, player.name);
+            const { hp, maxHp } = this.battleState.getPlayer(player.id);
+            bar.setHealth(hp, maxHp);
+            this.healthBars[player.id] = bar;
+        });
+
+        // Catch up on messages that arrived before the opponent was known
+        const pending = this.pendingBattleMessages;
+        this.pendingBattleMessages = [];
+        pending.forEach(({ meta, effectsData }) => this.applyBattleMessage(meta, effectsData, { silent: true }));
+    }
+
+    /**
+     * Apply a synced message to the battle: damage, guards and KO
+     * @param {object} meta - Message metadata from TalkJSService
+     * @param {object|null} effectsData - Validated effects payload
+     * @param {object} options
+     * @param {boolean} options.silent - Update the state without damage numbers (restoring history)
+     * @param {Function} options.landed - Registers a callback to run when the spell reaches its target (default: run it now)
+     * @returns {object|null} - The BattleState result, or null if the message didn't affect the battle (yet)
+     */
+    applyBattleMessage(meta, effectsData, { silent = false, landed = callback => callback() } = {}) {
+        if (!meta?.senderId) return null;
+        this.setupBattleState();
+        if (!this.battleState) {
+            this.pendingBattleMessages.push({ meta, effectsData });
+            return null;
+        }
+
+        const result = this.battleState.applyMessage(meta.senderId, meta.plaintext, effectsData);
+        if (!result) return null;
+        // A knockout in the closing message ends the battle before the round is scored
+        const roundResult = meta.round ? this.battleState.scoreRound(meta.round, meta.senderId) : null;
+
+        [meta.senderId, result.targetId].forEach(id => {
+            const { hp, maxHp, guard } = this.battleState.getPlayer(id);
+            this.healthBars[id].setHealth(hp, maxHp, guard > 0);
+        });
+        playBattleResult(this.wizards[this.playerSides[meta.senderId]], this.wizards[this.playerSides[result.targetId]], result, { silent, landed });
+
+        if (result.ko) {
+            this.matchRecorder.setOutcome({ winnerId: meta.senderId, reason: 'ko' });
+        } else if (roundResult?.matchWinnerId) {
+            this.matchRecorder.setOutcome({ winnerId: roundResult.matchWinnerId, reason: 'decision' });
+        }
+        if (!silent && result.guard > 0) {
+            this.narrate(`${meta.senderName} raises a guard.`);
+        }
+        landed(() => {
+            if (!silent && result.guard === 0) {
+                this.narrate(this.describeHit(result));
+            }
+            if (result.damage > 0 && !silent) {
+                this.showDamage(result.targetId, result.damage, result.ruling.modifiers);
+            }
+            if (result.ko) {
+                this.showKO(meta.senderName);
+            } else if (roundResult) {
+                this.showRoundResult(roundResult, { silent });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Announce a judged round, and the winner once the last round is in
+     * @param {object} roundResult - Result of BattleState.scoreRound()
+     * @param {object} options
+     * @param {boolean} options.silent - Only update the scoreboard and the result (restoring history)
+     */
+    showRoundResult({ round, winnerId, scores, matchWinnerId }, { silent = false } = {}) {
+        this.updateScoreboard();
+        const names = Object.fromEntries(this.talkJSService.getCombatants().map(player => [player.id, player.name]));
+
+        if (!silent) {
+            const detail = Object.keys(scores).length < 2
+                ? 'the word went unanswered'
+                : Object.entries(scores).map(([id, { total }]) => `${names[id]} ${total}`).join(' to ');
+            this.narrate(`Round ${round} goes to ${names[winnerId]}: ${detail}.`);
+            this.showRoundBanner(`Round ${round}\n${names[winnerId]}`);
+        }
+
+        if (matchWinnerId) {
+            const loserId = this.battleState.playerIds.find(id => id !== matchWinnerId);
+            this.wizards[this.playerSides[matchWinnerId]].setState('victory');
+            this.wizards[this.playerSides[loserId]].setState('defeated');
+            this.showKO(names[matchWinnerId], 'The last word!');
+        }
+    }
+
+    /**
+     * Flash the round winner in the middle of the arena
+     * @param {string} text
+     */
+    showRoundBanner(text) {
+        const banner = this.add.text(this.scale.gameSize.width / 2, this.scale.gameSize.height / 3, text, {
+            fontSize: '40px',
+            fontFamily: 'Arial',
+            color: '#3b82f6',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 6,
+            align: 'center'
+        }).setOrigin(0.5).setDepth(1500);
+
+        this.tweens.add({
+            targets: banner,
+            alpha: 0,
+            delay: 900,
+            duration: 600,
+            onComplete: () => banner.destroy()
+        });
+    }
+
+    /**
+     * How to present a message that counted in the battle: attacks fly from the caster
+     * to the opponent, defences raise a barrier in front of the caster
+     * @param {string} casterId - ID of the sender
+     * @param {object|null} result - Result of applyBattleMessage()
+     * @param {Function} onImpact - Called when an attack lands
+     * @returns {object} - Extra TextBoxCreator options; empty (a looping box) when the message didn't affect the battle
+     */
+    getSpellOptions(casterId, result, onImpact) {
+        const side = this.playerSides?.[casterId];
+        if (!result || !side) return {};
+
+        const route = getSpellRoute(side);
+        if (result.guard > 0) {
+            return { mode: 'barrier', barrier: route.barrier };
+        }
+        return {
+            mode: 'projectile',
+            from: route.from,
+            to: route.to,
+            onImpact: () => {
+                // Every attack uses up the target's guard
+                this.breakBarrier(result.targetId);
+                onImpact();
+            }
+        };
+    }
+
+    /**
+     * Cast sound now, impact sound when the spell lands
+     * @param {string} text - Message text
+     * @param {object|null} effectsData - Validated effects payload
+     * @param {object|null} result - Result of applyBattleMessage()
+     * @param {Array<Function>} impactCallbacks - Callbacks run when the spell lands
+     */
+    playSpellSounds(text, effectsData, result, impactCallbacks) {
+        if (result?.guard > 0) {
+            this.soundEngine.playShield();
+            return;
+        }
+        this.soundEngine.playSpell(text, effectsData);
+        if (result) {
+            impactCallbacks.push(() => this.soundEngine.playImpact(effectsData, result.damage));
+        }
+    }
+
+    /**
+     * Remove the barrier standing in front of a player, if any
+     * @param {string} playerId
+     */
+    breakBarrier(playerId) {
+        const barrier = this.barriers[playerId];
+        if (!barrier) return;
+        delete this.barriers[playerId];
+        this.textBoxCreator.dismiss(barrier);
+    }
+
+    /**
+     * Show a message the turn arbiter rejected, dimmed and without effect on the battle.
+     * It isn't recorded, so replays only contain the turns that counted.
+     * @param {string} messageText - "Sender: text"
+     * @param {object|null} effectsData - Validated effects payload
+     * @param {object} meta - Message metadata from TalkJSService
+     */
+    showRejectedMessage(messageText, effectsData, meta) {
+        this.narrate(`${this.describeMessage(meta)} (didn't count: out of turn)`);
+        const label = `${messageText}\n(out of turn)`;
+        const effects = effectsData && { ...orientEffects(effectsData, this.playerSides?.[meta.senderId]), particles: undefined };
+        const box = this.createAnimatedTextBox(label, effects, meta.senderId, { opacity: 0.4 });
+        this.logMessage(meta, label, effects, { box, opacity: 0.4 });
+        if (meta.senderId === this.talkJSService.currentUserId) {
+            this.showNotice(meta.rejected === 'STALE_TURN'
+                ? 'Too slow!\nYour opponent moved first.'
+                : "That spell didn't count:\nit wasn't your turn.");
+        }
+    }
+
+    /**
+     * Add a message to the battle log and remember how to show it again
+     * @param {object} meta - Message metadata from TalkJSService
+     * @param {string} label - Text of its box
+     * @param {object|null} effects - Effects its box was drawn with (after layout)
+     * @param {object} options
+     * @param {object|null} options.box - Its box on the arena, if it has one
+     * @param {number} options.opacity - Opacity of its box
+     */
+    logMessage(meta, label, effects, { box = null, opacity = 1 } = {}) {
+        this.battleLog.add(meta, effects);
+        this.loggedMessages.set(meta.id, { label, effects, casterId: meta.senderId, box, opacity });
+    }
+
+    /**
+     * Point out a message picked in the battle log: highlight its box if it is still
+     * on the arena, otherwise send it across again (without touching the battle)
+     * @param {string} id - Message ID
+     */
+    showLoggedMessage(id) {
+        const logged = this.loggedMessages.get(id);
+        if (!logged) return;
+
+        if (logged.box && !logged.box.destroyed) {
+            this.currentDepth += 2;
+            this.textBoxCreator.highlight(logged.box, this.currentDepth);
+        } else {
+            logged.box = this.createAnimatedTextBox(logged.label, logged.effects, logged.casterId, { opacity: logged.opacity });
+        }
+    }
+
+    showDamage(playerId, damage, modifiers = []) {
+        const wizard = this.wizards[this.playerSides[playerId]];
+        // e.g. "-18\nSUPER-EFFECTIVE COMBO"
+        const modifierText = modifiers.length > 0 ? `\n${modifiers.join(' ').toUpperCase()}` : '';
+        const label = this.add.text(wizard.x, wizard.y - wizard.displayHeight / 4, `-${damage}${modifierText}`, {
+            fontSize: '36px',
+            fontFamily: 'Arial',
+            color: '#ef4444',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 6,
+            align: 'center'
+        }).setOrigin(0.5).setDepth(1500);
+
+        this.tweens.add({
+            targets: label,
+            y: label.y - 80,
+            alpha: 0,
+            duration: 1200,
+            ease: 'Power2',
+            onComplete: () => label.destroy()
+        });
+    }
+
+    /**
+     * End the battle when a player concedes (/forfeit) or, with the forfeit
+     * setting, runs out of time on their turn
+     * @param {string} loserId - Player who forfeits
+     * @param {object} options
+     * @param {string} options.reason - Outcome recorded for the match, 'forfeit' or 'timeout'
+     * @param {string} options.title - Headline for showKO()
+     */
+    endByForfeit(loserId, { reason = 'forfeit', title = 'Forfeit!' } = {}) {
+        const winnerId = this.battleState?.forfeit(loserId);
+        if (!winnerId) return;
+
+        this.matchRecorder.setOutcome({ winnerId, reason });
+        this.wizards[this.playerSides[winnerId]].setState('victory');
+        this.wizards[this.playerSides[loserId]].setState('defeated');
+        const winner = this.talkJSService.getCombatants().find(p => p.id === winnerId);
+        this.showKO(winner?.name ?? 'Opponent', title);
+    }
+
+    /**
+     * Announce the end of the battle, then move on to the GameOver scene
+     * @param {string} winnerName
+     * @param {string} title - Headline, e.g. 'K.O.!'
+     */
+    showKO(winnerName, title = 'K.O.!') {
+        this.uiManager.setInputEnabled(false);
+        this.historyPanel.add(`${title} ${winnerName} wins`);
+        announce(`${title} ${winnerName} wins`, { urgent: true });
+        this.turnIndicator.setText(`${title} ${winnerName} wins`);
+        this.turnIndicator.setColor('#f59e0b');
+        this.turnTimerText.setVisible(false);
+
+        this.add.text(
+            this.scale.gameSize.width / 2,
+            this.scale.gameSize.height / 2,
+            `${title}\n${winnerName} wins`,
+            {
+                fontSize: '72px',
+                fontFamily: 'Arial',
+                color: '#f59e0b',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 10,
+                align: 'center'
+            }
+        ).setOrigin(0.5).setDepth(2000);
+        
+        // Let the wizards react, then move on to the results
+        if (!this.gameOverTimer) {
+            this.gameOverTimer = this.time.delayedCall(GAME_OVER_DELAY, () => {
+                this.scene.start('GameOver', {
+                    winnerName,
+                    title,
+                    match: this.matchRecorder.getMatch(),
+                    roomCode: this.roomCode,
+                    settings: this.talkJSService.getMatchSettings(),
+                    spectator: this.talkJSService.isSpectator()
+                });
+            });
+        }
+    }
+
+    /**
+     * Where a caster's text boxes emerge from: the input box for players,
+     * the caster's wizard for spectators (who have no input box)
+     * @param {string} casterId - ID of the sender
+     * @returns {{x: number, y: number}}
+     */
+    getLaunchPosition(casterId) {
+        const side = this.playerSides?.[casterId];
+        if (this.talkJSService.isSpectator() && side) {
+            const wizard = this.wizards[side];
+            return { x: wizard.x, y: wizard.y };
+        }
+        return this.uiManager.getInputBoxPosition();
+    }
+
+    createAnimatedTextBox(label, effectsData = null, casterId = null, extraOptions = {}) {
+        // Get launch position and increment depth; spells start at the caster's wizard
+        const wizard = extraOptions.mode ? this.wizards[this.playerSides[casterId]] : null;
+        const startPosition = wizard ? { x: wizard.x, y: wizard.y } : this.getLaunchPosition(casterId);
+        this.currentDepth += 2;
+        
+        // Build options object from Gemini effects data (now synced from TalkJS)
+        const options = { ...extraOptions };
+        
+        if (effectsData) {
+            console.log('Applying synced Gemini effects to message:', label, effectsData);
+            
+            // Apply font size
+            if (effectsData.fontSize) {
+                options.fontSize = effectsData.fontSize;
+            }
+            // Apply colors
+            if (effectsData.colors) {
+                options.colors = effectsData.colors;
+            }
+            // Apply animation path
+            if (effectsData.animationPath && effectsData.animationPath.length > 0) {
+                options.animationPath = effectsData.animationPath;
+            }
+            // Apply custom particle config from Gemini
+            if (effectsData.particles) {
+                options.particles = effectsData.particles;
+            }
+        }
+        
+        // Create the animated text box using the TextBoxCreator with Gemini-generated options
+        const box = this.textBoxCreator.create(label, startPosition, this.currentDepth, options);
+        
+        // A new barrier replaces the caster's previous one
+        if (options.mode === 'barrier') {
+            this.breakBarrier(casterId);
+            this.barriers[casterId] = box;
+        }
+        
+        // Store reference for cleanup (projectiles remove themselves once they land)
+        this.textBoxes = this.textBoxes.filter(existing => !existing.destroyed);
+        this.textBoxes.push(box);
+        
+        this.trimTextBoxes();
+        return box;
+    }
+
+    /**
+     * Clean up old text boxes beyond the player's box limit (performance optimization)
+     */
+    trimTextBoxes() {
+        const { maxTextBoxes } = getGameSettings();
+        while (this.textBoxes.length > maxTextBoxes) {
+            this.cleanupTextBox(this.textBoxes.shift());
+        }
+    }
+    
+    cleanupTextBox(box) {
+        this.textBoxCreator.destroy(box);
+    }
+
+    createTurnIndicator() {
+        // Create turn indicator at the top of the screen
+        this.turnIndicator = this.add.text(
+            this.scale.gameSize.width / 2,
+            30,
+            'Your turn',
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial',
+                color: '#22c55e',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5).setDepth(1000);
+
+        // Countdown shown to the right of the indicator when the room has a turn time limit
+        this.turnTimerText = this.add.text(0, 30, '', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#f8fafc',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0, 0.5).setDepth(1000).setVisible(false);
+    }
+
+    createConnectionIndicator() {
+        // Shown under the turn indicator while the transport is reconnecting
+        this.connectionIndicator = this.add.text(
+            this.scale.gameSize.width / 2,
+            62,
+            'Reconnecting…',
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#f59e0b',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5).setDepth(1000).setVisible(false);
+    }
+
+    createScoreboard() {
+        // Round and rounds won, under the turn indicator; only shown in matches with judged rounds
+        this.scoreboard = this.add.text(
+            this.scale.gameSize.width / 2,
+            94,
+            '',
+            {
+                fontSize: '18px',
+                fontFamily: 'Arial',
+                color: '#f8fafc',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5).setDepth(1000).setVisible(false);
+    }
+
+    /**
+     * Show the round and the rounds won, e.g. "Round 2 of 5 · Alice 1 - 0 Bob"
+     */
+    updateScoreboard() {
+        const rounds = this.battleState?.rounds;
+        this.scoreboard.setVisible(Boolean(rounds));
+        if (!rounds) return;
+
+        const [left, right] = this.talkJSService.getCombatants();
+        const standings = getStandings(this.battleState.roundResults, this.battleState.playerIds);
+        const round = Math.min(rounds, this.battleState.roundResults.length + 1);
+        this.scoreboard.setText(`Round ${round} of ${rounds} · ${left.name} ${standings[left.id].wins} - ${standings[right.id].wins} ${right.name}`);
+    }
+
+    /**
+     * Advance the synced turn clock: update the countdown, announce skipped
+     * turns and end the battle when a player forfeits by running out of time
+     */
+    updateTurnTimer() {
+        if (!this.turnTimerText) return;
+
+        const state = this.battleState && !this.battleState.winnerId ? this.talkJSService.updateTurnTimer() : null;
+        if (!state) {
+            this.turnTimerText.setVisible(false);
+            return;
+        }
+        if (state.forfeitedBy) {
+            this.endByForfeit(state.forfeitedBy, { reason: 'timeout', title: "Time's up!" });
+            return;
+        }
+
+        if (state.skipped === 0) {
+            this.shownSkips = 0;
+        } else if (state.skipped !== this.shownSkips) {
+            this.shownSkips = state.skipped;
+            this.showNotice("Time's up!\nTurn skipped.");
+        }
+
+        const seconds = Math.ceil(state.remaining / 1000);
+        this.turnTimerText.setText(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        this.turnTimerText.setColor(seconds <= 10 ? '#ef4444' : '#f8fafc');
+        this.turnTimerText.setPosition(this.turnIndicator.x + this.turnIndicator.displayWidth / 2 + 16, this.turnIndicator.y);
+        this.turnTimerText.setVisible(this.turnIndicator.visible);
+    }
+
+    updateTurnIndicator(isMyTurn) {
+        if (!this.turnIndicator) return;
+        // The battle is over once someone is knocked out
+        if (this.battleState?.winnerId) return;
+        
+        if (this.talkJSService.isSpectator()) {
+            this.turnIndicator.setText(this.talkJSService.getTurnState().turnMessage);
+            this.turnIndicator.setColor('#3b82f6'); // Blue
+            this.announceTurn();
+            return;
+        }
+        
+        if (isMyTurn) {
+            this.turnIndicator.setText('Your turn');
+            this.turnIndicator.setColor('#22c55e'); // Green
+            
+            // Enable input
+            this.uiManager.setInputEnabled(true);
+        } else {
+            this.turnIndicator.setText('Waiting for opponent...');
+            this.turnIndicator.setColor('#ef4444'); // Red
+            
+            // Disable input
+            this.uiManager.setInputEnabled(false);
+        }
+        this.announceTurn();
+    }
+
+    /**
+     * Read out the turn indicator when it changes
+     */
+    announceTurn() {
+        const text = this.turnIndicator.text;
+        if (text === this.announcedTurn) return;
+        this.announcedTurn = text;
+        announce(text);
+    }
+
+    /**
+     * Read a line out and add it to the history panel
+     * @param {string} text
+     */
+    narrate(text) {
+        this.historyPanel.add(text);
+        announce(text);
+    }
+
+    /**
+     * Describe a message for the narration, e.g. "Alice, fire attack: Fireball!"
+     * @param {object} meta - Message metadata from TalkJSService
+     * @returns {string}
+     */
+    describeMessage(meta) {
+        const { element, action } = classifyMessage(meta.plaintext);
+        const kind = [element, ACTION_NAMES[action]].filter(Boolean).join(' ');
+        return `${meta.senderName}, ${kind}: ${meta.plaintext}`;
+    }
+
+    /**
+     * Describe what an attack did, e.g. "Bob takes 18 damage (super-effective). 52 HP left."
+     * @param {object} result - BattleState result
+     * @returns {string}
+     */
+    describeHit(result) {
+        const target = this.talkJSService.getCombatants().find(p => p.id === result.targetId);
+        const name = target?.name ?? 'The opponent';
+        const { hp } = this.battleState.getPlayer(result.targetId);
+        const modifiers = result.ruling.modifiers.length > 0 ? ` (${result.ruling.modifiers.join(', ')})` : '';
+        const blocked = result.absorbed > 0 ? ` The guard blocked ${result.absorbed}.` : '';
+        return `${name} takes ${result.damage} damage${modifiers}.${blocked} ${hp} HP left.`;
+    }
+
+    /**
+     * Open the Settings scene on top of the battle, or close it
+     */
+    toggleSettings() {
+        if (this.scene.isActive('Settings')) {
+            this.scene.get('Settings').close();
+        } else {
+            this.scene.launch('Settings');
+        }
+    }
+
+    showTurnWarning() {
+        this.showNotice('Not your turn!\nWait for opponent to respond.');
+    }
+
+    /**
+     * Show a temporary warning in the middle of the screen
+     * @param {string} message - Text to show
+     */
+    showNotice(message) {
+        announce(message, { urgent: true });
+        const warning = this.add.text(
+            this.scale.gameSize.width / 2,
+            this.scale.gameSize.height / 2,
+            message,
+            {
+                fontSize: '32px',
+                fontFamily: 'Arial',
+                color: '#ef4444',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 6,
+                align: 'center'
+            }
+        ).setOrigin(0.5).setDepth(2000);
+
+        // Fade out and destroy after 2 seconds
+        this.tweens.add({
+            targets: warning,
+            alpha: 0,
+            duration: 2000,
+            ease: 'Power2',
+            onComplete: () => warning.destroy()
+        });
+    }
+}
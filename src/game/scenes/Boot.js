@@ -0,0 +1,32 @@
+import { Scene } from 'phaser';
+import { createSharedServices } from '../services/shared.js';
+import { getGameSettings, onGameSettingsChange } from '../services/gameSettings.js';
+
+/**
+ * Switch the DOM controls to high contrast to match the setting (text boxes read it themselves)
+ */
+const applyHighContrast = () => {
+    document.body.classList.toggle('high-contrast', getGameSettings().highContrast);
+};
+
+/**
+ * First scene: create the services every other scene shares, then load the assets
+ */
+export class Boot extends Scene
+{
+    constructor ()
+    {
+        super('Boot');
+    }
+
+    create ()
+    {
+        createSharedServices(this.game);
+
+        // High contrast covers every scene's DOM controls, for the whole session
+        applyHighContrast();
+        onGameSettingsChange(applyHighContrast);
+
+        this.scene.start('Preloader');
+    }
+}
@@ -0,0 +1,70 @@
+import { Scene } from 'phaser';
+import { getRematchCode } from '../services/rooms.js';
+
+/**
+ * Result of a finished battle, with a rematch, the replay of the match and the way back to the title
+ */
+export class GameOver extends Scene
+{
+    constructor ()
+    {
+        super('GameOver');
+    }
+
+    /**
+     * @param {object} data
+     * @param {string} data.winnerName - Name of the winner
+     * @param {string} data.title - How the battle ended, e.g. "K.O.!" or "Time's up!"
+     * @param {object} data.match - Match log from MatchRecorder, for the replay
+     * @param {string} data.roomCode - Room the battle was fought in
+     * @param {object} data.settings - Match settings, kept for the rematch
+     * @param {boolean} data.spectator - Spectators can't ask for a rematch
+     */
+    init (data)
+    {
+        this.result = data;
+    }
+
+    create ()
+    {
+        const { winnerName, title, roomCode, spectator } = this.result;
+        const rematchButton = spectator || !roomCode
+            ? ''
+            : '<button type="button" id="gameOverRematch">Rematch</button>';
+        const panelHtml = `
+            <div class="lobby-panel game-over-panel" role="dialog" aria-labelledby="gameOverTitle">
+                <h1 id="gameOverTitle"></h1>
+                <p class="game-over-winner" id="gameOverWinner"></p>
+                ${rematchButton}
+                <button type="button" id="gameOverReplay">Watch replay</button>
+                <button type="button" id="gameOverTitleScreen">Main menu</button>
+            </div>
+        `;
+
+        this.dom = this.add.dom(0, 0).createFromHTML(panelHtml);
+        this.dom.setOrigin(0.5);
+        this.dom.setDepth(3000);
+
+        const reposition = (size) => this.dom.setPosition(size.width / 2, size.height / 2);
+        reposition(this.scale.gameSize);
+        this.scale.on('resize', reposition);
+
+        this.dom.getChildByID('gameOverTitle').textContent = title;
+        this.dom.getChildByID('gameOverWinner').textContent = `${winnerName} wins`;
+
+        this.dom.getChildByID('gameOverRematch')?.addEventListener('click', () => {
+            this.scene.start('Lobby', { rematch: { code: getRematchCode(roomCode), settings: this.result.settings } });
+        });
+        this.dom.getChildByID('gameOverReplay').addEventListener('click', () => {
+            this.scene.start('Replay', { match: this.result.match, returnScene: 'GameOver', returnData: this.result });
+        });
+        this.dom.getChildByID('gameOverTitleScreen').addEventListener('click', () => this.scene.start('Title'));
+
+        this.events.once('shutdown', () => {
+            this.scale.off('resize', reposition);
+            this.dom.destroy();
+        });
+
+        (this.dom.getChildByID('gameOverRematch') ?? this.dom.getChildByID('gameOverReplay')).focus();
+    }
+}
@@ -0,0 +1,142 @@
+import { Scene } from 'phaser';
+import { LobbyUI } from '../ui/LobbyUI.js';
+import { getSharedServices } from '../services/shared.js';
+import { loadPlayerIdentity, savePlayerName } from '../services/playerIdentity.js';
+import { generateRoomCode, getRoomCodeFromUrl, getRoomLink, normalizeRoomCode } from '../services/rooms.js';
+
+/**
+ * Pick a name and a room, and wait there until both players are in.
+ * The room session lives on in the shared TalkJSService and is handed to the Battle scene.
+ */
+export class Lobby extends Scene
+{
+    constructor ()
+    {
+        super('Lobby');
+    }
+
+    /**
+     * @param {object} data
+     * @param {string} data.spectate - Room to watch (?spectate=CODE) instead of showing the form
+     * @param {{code: string, settings: object}} data.rematch - Room to meet the last opponent in, with the last match's settings
+     */
+    init (data)
+    {
+        this.spectateCode = data?.spectate ?? null;
+        this.rematch = data?.rematch ?? null;
+    }
+
+    create ()
+    {
+        this.talkJSService = getSharedServices(this).talkJSService;
+        this.lobbyUI = new LobbyUI(this);
+        this.roomCode = null;
+        this.enteredBattle = false;
+
+        // Leaving the lobby any other way than into the battle leaves the room
+        this.events.once('shutdown', () => {
+            this.lobbyUI.destroy();
+            if (!this.enteredBattle) {
+                this.talkJSService.disconnect();
+            }
+        });
+
+        if (this.spectateCode) {
+            this.enterDirectly(`Watching room ${this.spectateCode}`, { code: this.spectateCode, mode: 'spectate' });
+        } else if (this.rematch) {
+            // Whoever presses Rematch first creates the room, the other one joins it
+            this.enterDirectly('Rematch', { code: this.rematch.code, mode: 'create', settings: this.rematch.settings });
+        } else {
+            this.showForm();
+        }
+    }
+
+    /**
+     * @param {Object|null} error - {error, message} to show under the form
+     */
+    showForm(error = null) {
+        this.lobbyUI.show({
+            name: loadPlayerIdentity().name,
+            code: this.spectateCode || this.rematch?.code || getRoomCodeFromUrl(),
+            onSubmit: (choice) => this.enterRoom(choice),
+            onBack: () => this.scene.start('Title')
+        });
+        if (error) {
+            this.lobbyUI.showError(error.message);
+        }
+    }
+
+    /**
+     * Enter a room without going through the form (spectator links and rematches).
+     * The form comes up if the room can't be entered.
+     * @param {string} title - Panel heading while connecting
+     * @param {{code: string, mode: string, settings: object}} room - Room to enter
+     */
+    async enterDirectly(title, room) {
+        this.showForm();
+        this.lobbyUI.showStatus(title, 'Connecting...');
+        const result = await this.openRoom(room);
+        if (result?.error) {
+            this.showForm(result);
+        }
+    }
+
+    /**
+     * Create or join a room from the lobby form
+     * @param {{name: string, mode: string, code: string, settings: object}} choice - Lobby form values; mode is 'create' or 'join'
+     * @returns {Promise<Object|null>} - null on success, or {error, message} to show in the lobby
+     */
+    async enterRoom({ name, mode, code, settings = null }) {
+        const roomCode = mode === 'create' ? generateRoomCode() : normalizeRoomCode(code);
+        if (!roomCode) {
+            return { error: 'ROOM_NOT_FOUND', message: `"${code}" isn't a valid room code.` };
+        }
+        if (name) {
+            savePlayerName(name);
+        }
+        return this.openRoom({ code: roomCode, mode, settings });
+    }
+
+    /**
+     * Enter a room through the shared TalkJSService and wait for both players.
+     * Messages that arrive meanwhile are held for the Battle scene.
+     * @param {{code: string, mode: string, settings: object}} room - As options.room in TalkJSService.initialize
+     * @returns {Promise<Object|null>} - null on success, or {error, message}
+     */
+    async openRoom(room) {
+        this.roomCode = room.code;
+        const result = await this.talkJSService.initialize(null, null, {
+            room,
+            onPlayersChange: () => this.startBattleIfReady()
+        });
+        if (!this.scene.isActive()) return null;
+        if (result?.error) {
+            return result;
+        }
+
+        if (this.startBattleIfReady()) return null;
+        if (this.talkJSService.isSpectator()) {
+            this.lobbyUI.showStatus(`Watching room ${room.code}`, 'Waiting for both players...');
+        } else {
+            this.lobbyUI.showWaiting(room.code, getRoomLink(room.code));
+        }
+        return null;
+    }
+
+    /**
+     * Move on to the battle once both players are in the room
+     * @returns {boolean} - Whether the battle is starting
+     */
+    startBattleIfReady() {
+        if (this.enteredBattle) return true;
+
+        const ready = this.talkJSService.isSpectator()
+            ? this.talkJSService.getCombatants().length === 2
+            : Boolean(this.talkJSService.getPlayers().other);
+        if (ready) {
+            this.enteredBattle = true;
+            this.scene.start('Battle', { roomCode: this.roomCode });
+        }
+        return ready;
+    }
+}
@@ -0,0 +1,54 @@
+import { Scene } from 'phaser';
+import { Wizard } from '../ui/Wizard.js';
+import { SoundEngine } from '../services/SoundEngine.js';
+import { MatchRecorder } from '../services/MatchRecorder.js';
+import { getReplayCodeFromUrl, getRoomCodeFromUrl, getSpectateCodeFromUrl } from '../services/rooms.js';
+
+const BAR_WIDTH = 320;
+const BAR_HEIGHT = 12;
+
+/**
+ * Load every asset once, with a progress bar, then open the scene the URL asks for
+ */
+export class Preloader extends Scene
+{
+    constructor ()
+    {
+        super('Preloader');
+    }
+
+    init ()
+    {
+        const { width, height } = this.scale.gameSize;
+        this.add.rectangle(width / 2, height / 2, BAR_WIDTH + 4, BAR_HEIGHT + 4).setStrokeStyle(1, 0x0f172a);
+        const bar = this.add.rectangle(width / 2 - BAR_WIDTH / 2, height / 2, 0, BAR_HEIGHT, 0x22c55e).setOrigin(0, 0.5);
+        this.load.on('progress', (progress) => {
+            bar.width = BAR_WIDTH * progress;
+        });
+    }
+
+    preload ()
+    {
+        Wizard.preload(this);
+        SoundEngine.preload(this);
+    }
+
+    create ()
+    {
+        Wizard.createAnimations(this);
+
+        // Links straight to a replay, a room to watch or a room to join skip the title screen
+        const replayCode = getReplayCodeFromUrl();
+        const replayMatch = replayCode && MatchRecorder.load(replayCode);
+        const spectateCode = getSpectateCodeFromUrl();
+        if (replayMatch) {
+            this.scene.start('Replay', { match: replayMatch, returnScene: 'Title' });
+        } else if (spectateCode) {
+            this.scene.start('Lobby', { spectate: spectateCode });
+        } else if (getRoomCodeFromUrl()) {
+            this.scene.start('Lobby');
+        } else {
+            this.scene.start('Title');
+        }
+    }
+}
@@ -0,0 +1,289 @@
+import { Scene } from 'phaser';
+import { TextBoxCreator } from '../utils/TextBoxCreator.js';
+import { ArenaSpace, WIZARD_POSITIONS, getSpellRoute, orientEffects } from '../utils/ArenaSpace.js';
+import { LayoutManager } from '../utils/LayoutManager.js';
+import { HealthBar } from '../ui/HealthBar.js';
+import { Wizard, WIZARD_TINTS, playBattleResult } from '../ui/Wizard.js';
+import { ReplayControls } from '../ui/ReplayControls.js';
+import { BattleState } from '../systems/BattleState.js';
+import { getSharedServices } from '../services/shared.js';
+import { getGameSettings } from '../services/gameSettings.js';
+
+// Long pauses between messages are squeezed to this on the replay timeline
+const MAX_GAP = 3000;
+// Time before the first message and after the last one
+const LEAD_IN = 500;
+const TAIL = 3000;
+
+/**
+ * Re-watch a recorded match through TextBoxCreator,
+ * with play/pause, speed, stepping and a scrub bar
+ */
+export class Replay extends Scene
+{
+    constructor ()
+    {
+        super('Replay');
+    }
+
+    /**
+     * @param {object} data
+     * @param {object} data.match - Match log from MatchRecorder
+     * @param {string} data.returnScene - Scene to go back to (default Title)
+     * @param {object} data.returnData - Data to start that scene with
+     */
+    init (data)
+    {
+        this.match = data.match;
+        this.returnScene = data.returnScene || 'Title';
+        this.returnData = data.returnData;
+    }
+
+    create ()
+    {
+        this.arena = new ArenaSpace(this);
+        this.textBoxCreator = new TextBoxCreator(this, this.arena);
+        this.textBoxes = [];
+        this.currentDepth = 10;
+        this.playing = true;
+        this.speed = 1;
+
+        this.messages = this.match.messages.slice().sort((a, b) => a.timestamp - b.timestamp);
+        this.buildTimeline();
+
+        const [left, right] = this.match.players;
+        this.soundEngine = getSharedServices(this).soundEngine;
+        this.wizards = {
+            left: new Wizard(this, { tint: WIZARD_TINTS.left }),
+            right: new Wizard(this, { tint: WIZARD_TINTS.right, flipX: true })
+        };
+        this.playerSides = {};
+        this.healthBars = {};
+        [left, right].filter(Boolean).forEach((player, index) => {
+            const side = index === 0 ? 'left' : 'right';
+            this.playerSides[player.id] = side;
+            this.healthBars[player.id] = new HealthBar(this, 0, 0, player.name);
+        });
+
+        // The layout only depends on message order and sides, so every box lands where it did in the live battle
+        const layoutManager = new LayoutManager();
+        this.effects = this.messages.map(message => orientEffects(message.effects, this.playerSides[message.senderId]));
+        this.paths = this.messages.map((message, index) => layoutManager.place(this.getLabel(message), this.effects[index]));
+        this.layoutWizards();
+        this.arena.onChange(() => this.layoutWizards());
+
+        this.add.text(
+            this.scale.gameSize.width / 2,
+            30,
+            `Replay: ${this.match.players.map(p => p.name).join(' vs ')}`,
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial',
+                color: '#3b82f6',
+                fontStyle: 'bold',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5).setDepth(1000);
+
+        this.controls = new ReplayControls(this);
+        this.controls.create({
+            onTogglePlay: () => this.togglePlay(),
+            onStep: (direction) => this.step(direction),
+            onSpeed: (speed) => { this.speed = speed; },
+            onScrub: (time) => this.seek(time),
+            onExit: () => this.scene.start(this.returnScene, this.returnData),
+            onSettings: () => this.scene.launch('Settings')
+        }, this.duration);
+
+        this.seek(0);
+
+        this.events.once('shutdown', () => {
+            this.controls.destroy();
+            Object.values(this.healthBars).forEach(bar => bar.destroy());
+            // Stop tracking boxes first, so projectiles removed mid-flight don't land on a closed scene
+            this.textBoxCreator.shutdown();
+            this.textBoxes.forEach(box => this.textBoxCreator.destroy(box));
+            this.textBoxes = [];
+            Object.values(this.wizards).forEach(wizard => wizard.destroy());
+            this.arena.destroy();
+        });
+    }
+
+    /**
+     * Place the wizards (and their health bars) on the arena
+     */
+    layoutWizards() {
+        Object.entries(this.wizards).forEach(([side, wizard]) => {
+            const { x, y } = this.arena.toScreen(WIZARD_POSITIONS[side]);
+            wizard.setLayout(x, y, 0.5 * this.arena.scale);
+        });
+        Object.entries(this.healthBars).forEach(([id, bar]) => {
+            const wizard = this.wizards[this.playerSides[id]];
+            bar.setPosition(wizard.x, wizard.y - wizard.displayHeight / 2 - 30);
+        });
+    }
+
+    update (time, delta)
+    {
+        if (this.playing) {
+            this.playhead = Math.min(this.duration, this.playhead + delta * this.speed);
+            while (this.nextIndex < this.messages.length && this.times[this.nextIndex] <= this.playhead) {
+                this.showMessage(this.nextIndex, true);
+                this.nextIndex++;
+            }
+            if (this.playhead >= this.duration) {
+                this.playing = false;
+            }
+        }
+        this.controls.update(this.playhead, this.playing);
+    }
+
+    /**
+     * Place every message on the replay timeline, keeping real gaps up to MAX_GAP
+     */
+    buildTimeline() {
+        this.times = [];
+        let time = LEAD_IN;
+        this.messages.forEach((message, index) => {
+            if (index > 0) {
+                time += Math.min(MAX_GAP, Math.max(0, message.timestamp - this.messages[index - 1].timestamp));
+            }
+            this.times.push(time);
+        });
+        this.duration = time + TAIL;
+    }
+
+    togglePlay() {
+        // Pressing play at the end starts over
+        if (!this.playing && this.playhead >= this.duration) {
+            this.seek(0);
+        }
+        this.playing = !this.playing;
+    }
+
+    /**
+     * Move one message forwards or backwards and pause
+     * @param {number} direction - 1 or -1
+     */
+    step(direction) {
+        this.playing = false;
+        if (direction > 0) {
+            if (this.nextIndex >= this.messages.length) return;
+            this.playhead = this.times[this.nextIndex];
+            this.showMessage(this.nextIndex, true);
+            this.nextIndex++;
+        } else {
+            const shown = Math.max(0, this.nextIndex - 1);
+            this.seek(shown > 0 ? this.times[shown - 1] : 0);
+        }
+    }
+
+    /**
+     * Jump to a point in the timeline: rebuild the battle state up to it
+     * and place the most recent boxes without their entrance animation
+     * @param {number} time - Playhead in ms
+     */
+    seek(time) {
+        this.playhead = time;
+        this.textBoxes.forEach(box => this.textBoxCreator.destroy(box));
+        this.textBoxes = [];
+        this.battleState = new BattleState(this.match.players.map(p => p.id), { rounds: this.match.settings?.rounds ?? 0 });
+        Object.values(this.wizards).forEach(wizard => wizard.resetState());
+
+        this.nextIndex = 0;
+        while (this.nextIndex < this.messages.length && this.times[this.nextIndex] <= time) {
+            this.nextIndex++;
+        }
+
+        for (let i = 0; i < this.nextIndex; i++) {
+            this.applyMessage(this.messages[i], { silent: true });
+        }
+        for (let i = Math.max(0, this.nextIndex - getGameSettings().maxTextBoxes); i < this.nextIndex; i++) {
+            this.showMessage(i, false);
+        }
+        this.updateHealthBars();
+    }
+
+    /**
+     * Render a recorded message
+     * @param {number} index - Index into this.messages
+     * @param {boolean} live - Whether this is playback reaching the message (applies damage and animates in)
+     */
+    showMessage(index, live) {
+        const message = this.messages[index];
+        const side = this.playerSides[message.senderId];
+        // Live attacks fly at the opponent and defences raise a barrier, as in the battle;
+        // boxes placed by seeking loop at rest
+        let spellOptions = {};
+        if (live) {
+            const impactCallbacks = [];
+            const result = this.applyMessage(message, { silent: false, landed: callback => impactCallbacks.push(callback) });
+            this.updateHealthBars();
+            if (result?.guard > 0) {
+                this.soundEngine.playShield();
+            } else {
+                this.soundEngine.playSpell(message.text, message.effects);
+                if (result) impactCallbacks.push(() => this.soundEngine.playImpact(message.effects, result.damage));
+            }
+            if (result && side) {
+                const route = getSpellRoute(side);
+                spellOptions = result.guard > 0
+                    ? { mode: 'barrier', barrier: route.barrier }
+                    : { mode: 'projectile', from: route.from, to: route.to, onImpact: () => impactCallbacks.forEach(callback => callback()) };
+            }
+        }
+
+        const wizard = side ? this.wizards[side] : null;
+        const startPosition = wizard ? { x: wizard.x, y: wizard.y } : { x: this.scale.gameSize.width / 2, y: this.scale.gameSize.height - 40 };
+
+        this.currentDepth += 2;
+        const options = { ...(this.effects[index] || {}), animationPath: this.paths[index], atRest: !live, ...spellOptions };
+        const box = this.textBoxCreator.create(this.getLabel(message), startPosition, this.currentDepth, options);
+        // Projectiles remove themselves once they land
+        this.textBoxes = this.textBoxes.filter(existing => !existing.destroyed);
+        this.textBoxes.push(box);
+
+        while (this.textBoxes.length > getGameSettings().maxTextBoxes) {
+            this.textBoxCreator.destroy(this.textBoxes.shift());
+        }
+    }
+
+    getLabel(message) {
+        return `${message.senderName}: ${message.text}`;
+    }
+
+    /**
+     * Apply a recorded message to the battle and the wizards
+     * @param {object} message - Recorded message
+     * @param {object} options
+     * @param {boolean} options.silent - Settle the wizards without animating (seeking)
+     * @param {Function} options.landed - Registers a callback to run when the spell reaches its target
+     * @returns {object|null} - The BattleState result
+     */
+    applyMessage(message, { silent, landed = null }) {
+        if (!message.senderId) return null;
+        const result = this.battleState.applyMessage(message.senderId, message.text, message.effects);
+        if (result) {
+            playBattleResult(this.wizards[this.playerSides[message.senderId]], this.wizards[this.playerSides[result.targetId]], result, { silent, landed });
+        }
+        // The last judged round decides the match, as in the battle
+        const roundResult = result && message.round ? this.battleState.scoreRound(message.round, message.senderId) : null;
+        if (roundResult?.matchWinnerId) {
+            const loserId = this.battleState.playerIds.find(id => id !== roundResult.matchWinnerId);
+            const settle = () => {
+                this.wizards[this.playerSides[roundResult.matchWinnerId]].setState('victory');
+                this.wizards[this.playerSides[loserId]].setState('defeated');
+            };
+            (landed ?? (callback => callback()))(settle);
+        }
+        return result;
+    }
+
+    updateHealthBars() {
+        Object.entries(this.healthBars).forEach(([id, bar]) => {
+            const { hp, maxHp, guard } = this.battleState.getPlayer(id);
+            bar.setHealth(hp, maxHp, guard > 0);
+        });
+    }
+}
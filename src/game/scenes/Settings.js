@@ -0,0 +1,110 @@
+import { Scene } from 'phaser';
+import { MAX_TEXT_BOXES_LIMITS, PARTICLE_QUALITY, TEXT_SCALE_LIMITS, getGameSettings, updateGameSettings } from '../services/gameSettings.js';
+
+const PARTICLE_QUALITY_LABELS = {
+    high: 'High',
+    medium: 'Medium',
+    low: 'Low',
+    off: 'Off'
+};
+
+/**
+ * Display settings, opened on top of the title screen, the battle or the replay (which keep running).
+ * Every change is saved and applied straight away.
+ */
+export class Settings extends Scene
+{
+    constructor ()
+    {
+        super('Settings');
+    }
+
+    create ()
+    {
+        const settings = getGameSettings();
+        // Focus goes back where it was (e.g. the spell input) when the panel closes
+        this.returnFocus = document.activeElement;
+        const qualityOptions = Object.keys(PARTICLE_QUALITY)
+            .map(quality => {
+                const selected = quality === settings.particleQuality ? ' selected' : '';
+                return `<option value="${quality}"${selected}>${PARTICLE_QUALITY_LABELS[quality]}</option>`;
+            })
+            .join('');
+
+        const panelHtml = `
+            <div class="lobby-panel settings-panel" role="dialog" aria-label="Settings">
+                <h1>Settings</h1>
+                <label class="settings-check">
+                    <input type="checkbox" id="settingsReducedMotion" />
+                    Reduced motion
+                </label>
+                <label class="settings-check">
+                    <input type="checkbox" id="settingsHighContrast" />
+                    High contrast
+                </label>
+                <label for="settingsParticles">Particle quality</label>
+                <select id="settingsParticles">${qualityOptions}</select>
+                <label for="settingsMaxBoxes">Spells on screen: <span id="settingsMaxBoxesValue"></span></label>
+                <input type="range" id="settingsMaxBoxes" min="${MAX_TEXT_BOXES_LIMITS.min}" max="${MAX_TEXT_BOXES_LIMITS.max}" step="1" />
+                <label for="settingsTextScale">Text size: <span id="settingsTextScaleValue"></span></label>
+                <input type="range" id="settingsTextScale" min="${TEXT_SCALE_LIMITS.min * 100}" max="${TEXT_SCALE_LIMITS.max * 100}" step="5" />
+                <button type="button" id="settingsDone">Done</button>
+            </div>
+        `;
+
+        this.dom = this.add.dom(0, 0).createFromHTML(panelHtml);
+        this.dom.setOrigin(0.5);
+        this.dom.setDepth(4000);
+
+        const reposition = (size) => this.dom.setPosition(size.width / 2, size.height / 2);
+        reposition(this.scale.gameSize);
+        this.scale.on('resize', reposition);
+
+        const reducedMotion = this.dom.getChildByID('settingsReducedMotion');
+        const highContrast = this.dom.getChildByID('settingsHighContrast');
+        const particles = this.dom.getChildByID('settingsParticles');
+        const maxBoxes = this.dom.getChildByID('settingsMaxBoxes');
+        const textScale = this.dom.getChildByID('settingsTextScale');
+        const showValues = () => {
+            this.dom.getChildByID('settingsMaxBoxesValue').textContent = maxBoxes.value;
+            this.dom.getChildByID('settingsTextScaleValue').textContent = `${textScale.value}%`;
+        };
+
+        reducedMotion.checked = settings.reducedMotion;
+        highContrast.checked = settings.highContrast;
+        maxBoxes.value = String(settings.maxTextBoxes);
+        textScale.value = String(Math.round(settings.textScale * 100));
+        showValues();
+
+        reducedMotion.addEventListener('change', () => updateGameSettings({ reducedMotion: reducedMotion.checked }));
+        highContrast.addEventListener('change', () => updateGameSettings({ highContrast: highContrast.checked }));
+        particles.addEventListener('change', () => updateGameSettings({ particleQuality: particles.value }));
+        maxBoxes.addEventListener('input', () => {
+            showValues();
+            updateGameSettings({ maxTextBoxes: Number(maxBoxes.value) });
+        });
+        textScale.addEventListener('input', () => {
+            showValues();
+            updateGameSettings({ textScale: Number(textScale.value) / 100 });
+        });
+
+        this.dom.getChildByID('settingsDone').addEventListener('click', () => this.close());
+        this.dom.node.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        });
+
+        this.events.once('shutdown', () => {
+            this.scale.off('resize', reposition);
+            this.dom.destroy();
+        });
+
+        this.scene.bringToTop();
+        reducedMotion.focus();
+    }
+
+    close ()
+    {
+        this.scene.stop();
+        this.returnFocus?.focus?.();
+    }
+}
@@ -0,0 +1,69 @@
+import { Scene } from 'phaser';
+import { readMatchFile } from '../utils/matchFile.js';
+
+/**
+ * Title screen: play (through the lobby), watch an exported match, or change settings
+ */
+export class Title extends Scene
+{
+    constructor ()
+    {
+        super('Title');
+    }
+
+    create ()
+    {
+        const panelHtml = `
+            <div class="lobby-panel title-panel">
+                <h1>The Last Word</h1>
+                <button type="button" id="titlePlay">Play</button>
+                <label class="game-button">
+                    Import match
+                    <input type="file" id="titleImport" accept="application/json,.json" hidden />
+                </label>
+                <button type="button" id="titleSettings">Settings</button>
+                <p class="lobby-error" id="titleError" role="alert"></p>
+            </div>
+        `;
+
+        this.dom = this.add.dom(0, 0).createFromHTML(panelHtml);
+        this.dom.setOrigin(0.5);
+        this.dom.setDepth(3000);
+
+        const reposition = (size) => this.dom.setPosition(size.width / 2, size.height / 2);
+        reposition(this.scale.gameSize);
+        this.scale.on('resize', reposition);
+
+        this.dom.getChildByID('titlePlay').addEventListener('click', () => this.scene.start('Lobby'));
+        this.dom.getChildByID('titleSettings').addEventListener('click', () => this.scene.launch('Settings'));
+        const fileInput = this.dom.getChildByID('titleImport');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importMatch(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+
+        this.events.once('shutdown', () => {
+            this.scene.stop('Settings');
+            this.scale.off('resize', reposition);
+            this.dom.destroy();
+        });
+
+        this.dom.getChildByID('titlePlay').focus();
+    }
+
+    /**
+     * Load a match file and open it in the Replay scene
+     * @param {File} file - JSON file chosen by the user
+     */
+    async importMatch(file) {
+        const { valid, errors, match } = await readMatchFile(file);
+        if (!valid) {
+            console.warn('Rejected match file:', errors);
+            this.dom.getChildByID('titleError').textContent = `Can't import match: ${errors[0]}`;
+            return;
+        }
+        this.scene.start('Replay', { match, returnScene: 'Title' });
+    }
+}
@@ -0,0 +1,156 @@
+const STORAGE_PREFIX = 'thelastword:match:';
+// Match logs kept in localStorage; the oldest are dropped first
+const MAX_STORED_MATCHES = 20;
+// Characters the other rooms' logs may take up, leaving the rest of the quota (about 5M) for the current one
+const MAX_STORED_CHARS = 2000000;
+
+/**
+ * Records every message of a match, with its effects payload, sender and timestamp.
+ * The log is kept in localStorage per room so it survives a reload and can be
+ * re-watched in the Replay scene; only the most recent matches are kept.
+ */
+export class MatchRecorder {
+    /**
+     * @param {string} roomCode - Room being recorded
+     */
+    constructor(roomCode) {
+        this.match = MatchRecorder.load(roomCode) || {
+            roomCode,
+            startedAt: Date.now(),
+            players: [],
+            settings: null,
+            messages: [],
+            outcome: null
+        };
+        this.recordedIds = new Set(this.match.messages.map(m => m.id));
+        MatchRecorder.evict(roomCode);
+    }
+
+    /**
+     * The stored match logs, newest match first
+     * @param {string} exceptRoomCode - Room to leave out (the one being recorded)
+     * @returns {Array<{key: string, size: number}>} - size is the log's length in characters
+     */
+    static storedLogs(exceptRoomCode) {
+        const stored = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key?.startsWith(STORAGE_PREFIX) || key === `${STORAGE_PREFIX}${exceptRoomCode}`) continue;
+            const data = localStorage.getItem(key) ?? '';
+            let startedAt = 0; // Unreadable logs go last
+            try {
+                startedAt = JSON.parse(data)?.startedAt ?? 0;
+            } catch (e) {
+                // Keep the default
+            }
+            stored.push({ key, size: data.length, startedAt });
+        }
+        return stored.sort((a, b) => b.startedAt - a.startedAt).map(({ key, size }) => ({ key, size }));
+    }
+
+    /**
+     * Drop the oldest stored match logs, once, so the rest fit the count and size budgets
+     * @param {string} exceptRoomCode - Room whose log is never dropped (the one being recorded)
+     */
+    static evict(exceptRoomCode) {
+        let kept = 0;
+        let size = 0;
+        MatchRecorder.storedLogs(exceptRoomCode).forEach(log => {
+            if (kept < MAX_STORED_MATCHES - 1 && size + log.size <= MAX_STORED_CHARS) {
+                kept++;
+                size += log.size;
+            } else {
+                localStorage.removeItem(log.key);
+            }
+        });
+    }
+
+    /**
+     * Load a stored match log
+     * @param {string} roomCode
+     * @returns {object|null}
+     */
+    static load(roomCode) {
+        try {
+            return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${roomCode}`));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Set the two combatants, left wizard first
+     * @param {Array<{id: string, name: string}>} players
+     */
+    setPlayers(players) {
+        this.match.players = players.map(({ id, name }) => ({ id, name }));
+        this.save();
+    }
+
+    /**
+     * Set the match settings the room was created with (the replay needs the number of rounds)
+     * @param {object} settings - {turnTimeLimit, onTimeout, rounds}
+     */
+    setSettings(settings) {
+        this.match.settings = { ...settings };
+        this.save();
+    }
+
+    /**
+     * Record a message; messages already in the log are ignored
+     * @param {object} meta - Message metadata from TalkJSService {id, senderId, senderName, plaintext, timestamp, round}
+     * @param {object|null} effects - Validated effects payload
+     */
+    record(meta, effects) {
+        if (!meta?.id || this.recordedIds.has(meta.id)) return;
+
+        this.recordedIds.add(meta.id);
+        this.match.messages.push({
+            id: meta.id,
+            senderId: meta.senderId ?? null,
+            senderName: meta.senderName,
+            text: meta.plaintext,
+            effects: effects ?? null,
+            round: meta.round ?? null,
+            timestamp: meta.timestamp ?? Date.now()
+        });
+        this.save();
+    }
+
+    /**
+     * Drop a recorded message that no longer counts (the turns were judged again and it lost)
+     * @param {string} id - Message ID
+     */
+    forget(id) {
+        if (!this.recordedIds.delete(id)) return;
+
+        this.match.messages = this.match.messages.filter(m => m.id !== id);
+        this.save();
+    }
+
+    /**
+     * Record how the match ended
+     * @param {{winnerId: string, reason: string}|null} outcome - null while the match is undecided
+     */
+    setOutcome(outcome) {
+        this.match.outcome = outcome;
+        this.save();
+    }
+
+    /**
+     * Get the match log
+     * @returns {object} - {roomCode, startedAt, players, settings, messages, outcome}
+     */
+    getMatch() {
+        return this.match;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(`${STORAGE_PREFIX}${this.match.roomCode}`, JSON.stringify(this.match));
+        } catch (e) {
+            // Storage full even after evict(): the in-memory log is still complete
+            console.warn('Could not persist match log:', e);
+        }
+    }
+}
@@ -0,0 +1,373 @@
+import { classifyMessage } from '../systems/RulesEngine.js';
+import { EFFECTS_LIMITS } from '../utils/EffectsValidator.js';
+
+/**
+ * Procedural sound effects.
+ * Sounds are synthesized with the Web Audio nodes of Phaser's sound manager, so
+ * they follow its master volume and mute. A sample pack listed in
+ * public/assets/sound_pack.json replaces the synthesized sound for any cue it
+ * covers; samples are played through the sound manager with the same volume and
+ * pitch scaling.
+ */
+
+const SETTINGS_KEY = 'thelastword:audio';
+const PACK_KEY = 'sound-pack';
+const PACK_URL = 'assets/sound_pack.json';
+
+export const DEFAULT_AUDIO_SETTINGS = { volume: 0.8, muted: false };
+
+// Element timbres, a whoosh for spells without an element, and the battle cues
+export const SOUND_CUES = ['fire', 'ice', 'electric', 'earth', 'poison', 'holy', 'whoosh', 'impact', 'shield', 'turn'];
+
+/**
+ * Load the saved volume and mute settings
+ * @returns {{volume: number, muted: boolean}}
+ */
+export function loadAudioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return {
+            volume: Number.isFinite(saved?.volume) ? Math.min(1, Math.max(0, saved.volume)) : DEFAULT_AUDIO_SETTINGS.volume,
+            muted: saved?.muted === true
+        };
+    } catch (e) {
+        return { ...DEFAULT_AUDIO_SETTINGS };
+    }
+}
+
+/**
+ * Persist the volume and mute settings
+ * @param {{volume: number, muted: boolean}} settings
+ */
+export function saveAudioSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not save audio settings:', e);
+    }
+}
+
+/**
+ * Guess a spell's element from its colors when the text doesn't name one
+ * @param {object|null} effects - Validated effects payload
+ * @returns {string|null}
+ */
+function elementFromColors(effects) {
+    const color = effects?.particles?.colors?.[0] ?? effects?.colors?.border;
+    if (color === undefined) return null;
+
+    const r = (color >> 16) & 0xff;
+    const g = (color >> 8) & 0xff;
+    const b = color & 0xff;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    // Greys and whites carry no element
+    if (max - min < 40) return null;
+
+    let hue;
+    if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+    else if (max === g) hue = (b - r) / (max - min) + 2;
+    else hue = (r - g) / (max - min) + 4;
+    hue *= 60;
+
+    if (hue < 40 || hue >= 330) return 'fire';
+    if (hue < 70) return 'electric';
+    if (hue < 160) return 'poison';
+    if (hue < 260) return 'ice';
+    return 'electric';
+}
+
+/**
+ * How big a spell looks, from its font size and particles
+ * @param {object|null} effects - Validated effects payload
+ * @returns {{size: number, particles: number}} - Both from 0 to 1
+ */
+export function getSpellIntensity(effects) {
+    const { fontSize: fontLimits, particles: particleLimits } = EFFECTS_LIMITS;
+    const normalize = (value, { min, max }) => Math.min(1, Math.max(0, (value - min) / (max - min)));
+
+    const size = normalize(effects?.fontSize ?? fontLimits.default, fontLimits);
+    const particles = effects?.particles
+        ? (normalize(effects.particles.quantity ?? 3, particleLimits.quantity) + normalize(effects.particles.speed?.max ?? 80, particleLimits.speedMax)) / 2
+        : 0;
+    return { size, particles };
+}
+
+export class SoundEngine {
+    /**
+     * Queue the sample pack manifest and the samples it lists
+     * @param {Phaser.Scene} scene - Scene in its preload phase
+     */
+    static preload(scene) {
+        if (scene.cache.json.exists(PACK_KEY)) return;
+
+        scene.load.once(`filecomplete-json-${PACK_KEY}`, (key, type, pack) => {
+            Object.entries(pack?.samples || {})
+                .filter(([cue]) => SOUND_CUES.includes(cue))
+                .forEach(([cue, file]) => {
+                    scene.load.audio(`sfx-${cue}`, `assets/${file}`);
+                });
+        });
+        scene.load.json(PACK_KEY, PACK_URL);
+    }
+
+    /**
+     * @param {Phaser.Game} game - Game whose sound manager plays the sounds (shared by every scene)
+     */
+    constructor(game) {
+        this.sound = game.sound;
+        this.audioCache = game.cache.audio;
+        this.settings = loadAudioSettings();
+        this.applySettings();
+    }
+
+    /**
+     * Web Audio context, or null when the game fell back to HTML5 or no audio
+     * (samples still play then, synthesized sounds don't)
+     * @returns {AudioContext|null}
+     */
+    get context() {
+        const { context } = this.sound;
+        return context && context.state === 'running' ? context : null;
+    }
+
+    /**
+     * Change the volume and/or mute, and remember them
+     * @param {{volume?: number, muted?: boolean}} changes
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        saveAudioSettings(this.settings);
+        this.applySettings();
+    }
+
+    applySettings() {
+        this.sound.setVolume(this.settings.volume);
+        this.sound.setMute(this.settings.muted);
+    }
+
+    /**
+     * Sound of a spell being cast, in the timbre of its element
+     * @param {string} text - Message text (names the element, if any)
+     * @param {object|null} effects - Validated effects payload
+     */
+    playSpell(text, effects) {
+        const element = classifyMessage(text).element ?? elementFromColors(effects) ?? 'whoosh';
+        const { size, particles } = getSpellIntensity(effects);
+        // Bigger text is louder and deeper; heavier particles add volume too
+        this.play(element, {
+            volume: 0.35 + 0.4 * size + 0.25 * particles,
+            rate: 1.25 - 0.5 * size
+        });
+    }
+
+    /**
+     * Sound of a spell landing
+     * @param {object|null} effects - Validated effects payload
+     * @param {number} damage - Damage dealt, louder when it hurt more
+     */
+    playImpact(effects, damage = 0) {
+        const { size } = getSpellIntensity(effects);
+        this.play('impact', {
+            volume: Math.min(1, 0.4 + damage / 40),
+            rate: 1.2 - 0.4 * size
+        });
+    }
+
+    playShield() {
+        this.play('shield', { volume: 0.6, rate: 1 });
+    }
+
+    playTurn() {
+        this.play('turn', { volume: 0.4, rate: 1 });
+    }
+
+    /**
+     * Play a cue from the sample pack, or synthesize it
+     * @param {string} cue - One of SOUND_CUES
+     * @param {{volume: number, rate: number}} options - Volume 0-1 and playback rate (1 is the natural pitch)
+     */
+    play(cue, { volume, rate }) {
+        const sampleKey = `sfx-${cue}`;
+        if (this.audioCache.exists(sampleKey)) {
+            this.sound.play(sampleKey, { volume, rate });
+            return;
+        }
+
+        const context = this.context;
+        if (!context) return;
+
+        const output = context.createGain();
+        output.gain.value = volume;
+        output.connect(this.sound.destination);
+
+        const synth = SYNTHS[cue] ?? SYNTHS.whoosh;
+        const duration = synth(context, output, context.currentTime, rate);
+        // Let the graph go once the sound has finished
+        setTimeout(() => output.disconnect(), (duration + 0.1) * 1000);
+    }
+}
+
+const noiseBuffers = new WeakMap();
+
+/**
+ * One second of white noise, shared by the noisy synths
+ * @param {AudioContext} context
+ * @returns {AudioBuffer}
+ */
+function getNoise(context) {
+    if (!noiseBuffers.has(context)) {
+        const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        noiseBuffers.set(context, buffer);
+    }
+    return noiseBuffers.get(context);
+}
+
+/**
+ * Gain node with a quick attack and an exponential decay, connected to output
+ * @param {AudioContext} context
+ * @param {AudioNode} output - Where the enveloped sound goes
+ * @param {number} start - Context time the attack starts at
+ * @param {number} attack - Attack time in seconds
+ * @param {number} decay - Decay time in seconds
+ * @param {number} peak - Gain at the end of the attack
+ * @returns {GainNode} - Connect the sound source to this
+ */
+function envelope(context, output, start, attack, decay, peak = 1) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+    gain.connect(output);
+    return gain;
+}
+
+function playNoise(context, destination, start, duration) {
+    const source = context.createBufferSource();
+    source.buffer = getNoise(context);
+    source.loop = true;
+    source.connect(destination);
+    source.start(start);
+    source.stop(start + duration);
+    return source;
+}
+
+function playTone(context, destination, start, duration, type, frequency) {
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    oscillator.connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+    return oscillator;
+}
+
+// Each synth plays its sound into output from start, pitched by rate, and returns its length in seconds
+const SYNTHS = {
+    // Crackle: a run of random noise pops over a low roar
+    fire(context, output, start, rate) {
+        const roarFilter = context.createBiquadFilter();
+        roarFilter.type = 'lowpass';
+        roarFilter.frequency.value = 400 * rate;
+        roarFilter.connect(envelope(context, output, start, 0.05, 0.8, 0.5));
+        playNoise(context, roarFilter, start, 0.9);
+
+        for (let i = 0; i < 14; i++) {
+            const pop = start + Math.random() * 0.7;
+            const popFilter = context.createBiquadFilter();
+            popFilter.type = 'bandpass';
+            popFilter.frequency.value = (1500 + Math.random() * 2500) * rate;
+            popFilter.connect(envelope(context, output, pop, 0.002, 0.03, 0.8));
+            playNoise(context, popFilter, pop, 0.04);
+        }
+        return 0.9;
+    },
+
+    // Chime: inharmonic sine partials ringing out
+    ice(context, output, start, rate) {
+        [1, 2.76, 5.4].forEach((ratio, i) => {
+            playTone(context, envelope(context, output, start + i * 0.04, 0.005, 1.2 - i * 0.3, 0.5 / (i + 1)), start, 1.3, 'sine', 1200 * ratio * rate);
+        });
+        return 1.3;
+    },
+
+    // Buzz: a sawtooth chopped by a fast square wave
+    electric(context, output, start, rate) {
+        const chopper = context.createGain();
+        chopper.gain.value = 0.5;
+        playTone(context, chopper.gain, start, 0.6, 'square', 28);
+        const filter = context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 300;
+        chopper.connect(filter);
+        filter.connect(envelope(context, output, start, 0.01, 0.55, 0.6));
+        playTone(context, chopper, start, 0.6, 'sawtooth', 110 * rate);
+        return 0.6;
+    },
+
+    // Thud: a low sine dropping in pitch
+    earth(context, output, start, rate) {
+        const oscillator = playTone(context, envelope(context, output, start, 0.01, 0.6, 1), start, 0.7, 'sine', 120 * rate);
+        oscillator.frequency.exponentialRampToValueAtTime(40 * rate, start + 0.6);
+        return 0.7;
+    },
+
+    // Bubbling: a sine wobbling up and down
+    poison(context, output, start, rate) {
+        const oscillator = playTone(context, envelope(context, output, start, 0.02, 0.8, 0.5), start, 0.9, 'sine', 300 * rate);
+        for (let i = 0; i < 6; i++) {
+            oscillator.frequency.setValueAtTime((250 + Math.random() * 250) * rate, start + i * 0.13);
+        }
+        return 0.9;
+    },
+
+    // Bright major chord
+    holy(context, output, start, rate) {
+        [523, 659, 784].forEach((frequency, i) => {
+            playTone(context, envelope(context, output, start, 0.08, 1.1, 0.3), start, 1.2, 'triangle', frequency * rate * (1 + i * 0.001));
+        });
+        return 1.2;
+    },
+
+    // Noise swept through a bandpass filter
+    whoosh(context, output, start, rate) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 2;
+        filter.frequency.setValueAtTime(300 * rate, start);
+        filter.frequency.exponentialRampToValueAtTime(2400 * rate, start + 0.5);
+        filter.connect(envelope(context, output, start, 0.15, 0.4, 0.7));
+        playNoise(context, filter, start, 0.6);
+        return 0.6;
+    },
+
+    // Noise burst on top of a falling sub tone
+    impact(context, output, start, rate) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1800 * rate;
+        filter.connect(envelope(context, output, start, 0.003, 0.35, 1));
+        playNoise(context, filter, start, 0.4);
+        SYNTHS.earth(context, output, start, rate * 0.8);
+        return 0.7;
+    },
+
+    // Rising shimmer
+    shield(context, output, start, rate) {
+        const oscillator = playTone(context, envelope(context, output, start, 0.1, 0.7, 0.4), start, 0.8, 'triangle', 440 * rate);
+        oscillator.frequency.exponentialRampToValueAtTime(880 * rate, start + 0.5);
+        SYNTHS.ice(context, output, start + 0.1, rate * 0.5);
+        return 1.4;
+    },
+
+    // Two-note blip
+    turn(context, output, start, rate) {
+        playTone(context, envelope(context, output, start, 0.01, 0.12, 0.5), start, 0.15, 'triangle', 660 * rate);
+        playTone(context, envelope(context, output, start + 0.12, 0.01, 0.18, 0.5), start + 0.12, 0.2, 'triangle', 990 * rate);
+        return 0.35;
+    }
+};
@@ -1,521 +1,619 @@
+import { createTransport } from './transports/index.js';
+import { RoomError } from './transports/RoomError.js';
+import { loadPlayerIdentity } from './playerIdentity.js';
+import { getConversationId } from './rooms.js';
+import { createEffectsProvider, setEffectsProviderName, RuleBasedEffectsProvider, SpellCatalog } from './effects/index.js';
+import { createJudge, LocalJudge, scoreExchange } from './judges/index.js';
+import { validateEffects } from '../utils/EffectsValidator.js';
+import { normalizeMatchSettings } from '../systems/matchSettings.js';
+import { TurnTimer } from '../systems/TurnTimer.js';
+import { TurnArbiter } from '../systems/TurnArbiter.js';
+import { closesRound, getRoundNumber, normalizeRoundScores } from '../systems/rounds.js';
+
 /**
- * Service to handle TalkJS integration
+ * Service to handle TalkJS integration.
+ * One instance is shared by the scenes (see services/shared.js): the lobby enters
+ * a room, the battle attaches its handlers, and after disconnect() it can enter
+ * another room.
  */
 export class TalkJSService {
-    constructor() {
-        this.conversation = null;
+    /**
+     * @param {object} options
+     * @param {object} options.transport - Messaging transport (defaults to one built from URL/env config)
+     * @param {object} options.effectsProvider - Effects provider (defaults to the session's provider)
+     * @param {SpellCatalog} options.spellCatalog - Spell presets (defaults to the bundled spell packs)
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || null;
+        this.ownsTransport = !this.transport; // Created per room, unless one was passed in
+        this.effectsProvider = options.effectsProvider || createEffectsProvider();
+        this.fallbackEffectsProvider = new RuleBasedEffectsProvider();
+        this.spellCatalog = options.spellCatalog || new SpellCatalog();
+        this.judge = options.judge || createJudge();
+        this.fallbackJudge = new LocalJudge();
+        this.maxHistoryLength = 10; // Keep last 10 messages for context
+        this.resetRoomState();
+    }
+
+    /**
+     * Forget everything about the current room, before entering a new one
+     */
+    resetRoomState() {
+        this.connected = false;
         this.processedMessages = new Set();
         this.messageCallback = null;
         this.conversationHistory = []; // Store recent messages for context
-        this.maxHistoryLength = 10; // Keep last 10 messages for context
+        this.matchWords = []; // Every accepted message {playerId, name, text, turn}, for the round judge
+        this.undelivered = []; // Batches of messages received before anyone attached a message handler
         this.currentUserId = null;
         this.otherUserId = null;
+        this.players = null; // {me, other} once initialized; other is null until the opponent joins
+        this.playersChangeCallback = null; // Callback when the opponent joins
+        this.historyCallback = null; // Callback for the messages already in the room when we enter it
+        this.resyncCallback = null; // Callback when the turns were judged again and the handlers detached (see rejudge())
+        this.historyLoaded = false;
+        this.connectionChangeCallback = null; // Callback when the transport drops or reconnects
+        this.roomCode = null;
+        this.role = 'player'; // 'player' or 'spectator'
+        this.spectatedPlayers = []; // Combatants, when spectating
+        this.unsubscribers = []; // Transport subscriptions to close on disconnect
         this.lastMessageSenderId = null; // Track who sent the last message
+        this.lastMessageTimestamp = null; // Synced time of the last message, the turn clock starts from it
+        this.matchSettings = normalizeMatchSettings(null);
+        this.turnTimer = new TurnTimer(this.matchSettings);
+        this.timerState = null; // Latest result of updateTurnTimer()
+        this.arbiter = new TurnArbiter(this.turnTimer); // Decides which messages count as turns
+        this.pendingTurn = null; // Turn number claimed by a send that hasn't been judged yet
         this.isMyTurn = true; // Start with it being the first player's turn
         this.turnChangeCallback = null; // Callback when turn changes
     }
 
     /**
-     * Initialize TalkJS session
-     * @param {Function} onMessageReceived - Callback for when new messages arrive
+     * Initialize the messaging session and enter a room
+     * @param {Function|null} onMessageReceived - Callback for when new messages arrive (receives messageText, effectsData,
+     *   meta {id, senderId, senderName, plaintext, timestamp, turn, rejected, round, forfeit}); rejected is null, or why the message
+     *   doesn't count as a turn (see TurnArbiter.judge); round is null, or the scores of the round the message closes
+     *   {round, judge, scores} (see normalizeRoundScores); forfeit is true when the sender concedes (see forfeit()).
+     *   Without it, messages are held until attach() is called.
      * @param {Function} onTurnChange - Optional callback for when turn changes (receives boolean isMyTurn)
+     * @param {object} options
+     * @param {{code: string, mode: string, settings: object}} options.room - Room to enter; mode is 'create', 'join' or 'spectate'.
+     *   settings are only used when creating the room; everyone else gets the room's stored settings.
+     * @param {Function} options.onPlayersChange - Optional callback when the opponent joins, or when both players are known to a spectator
+     * @param {Function} options.onHistory - Optional callback for the messages already in the room (e.g. after a reload),
+     *   receives an array of {text, effects, meta} so they can be restored without animating; without it they go
+     *   through onMessageReceived like new messages
+     * @param {Function} options.onConnectionChange - Optional callback receiving 'reconnecting' or 'connected'
+     * @returns {Promise<Object|null>} - null on success, or {error, message} (error is ROOM_NOT_FOUND, ROOM_FULL or CONNECTION_FAILED)
      */
-    async initialize(onMessageReceived, onTurnChange = null) {
+    async initialize(onMessageReceived = null, onTurnChange = null, options = {}) {
+        this.resetRoomState();
         this.messageCallback = onMessageReceived;
         this.turnChangeCallback = onTurnChange;
+        this.playersChangeCallback = options.onPlayersChange || null;
+        this.historyCallback = options.onHistory || null;
+        this.connectionChangeCallback = options.onConnectionChange || null;
 
         try {
-            // Get user from URL parameter or default to alice
-            const urlParams = new URLSearchParams(window.location.search);
-            this.currentUserId = urlParams.get('user') || 'alice';
-            
-            // Hardcoded user data
-            const users = {
-                alice: {
-                    id: "alice",
-                    name: "Alice"
-                },
-                bob: {
-                    id: "bob",
-                    name: "Bob"
-                }
-            };
-            
-            const me = users[this.currentUserId];
-            this.otherUserId = this.currentUserId === 'alice' ? 'bob' : 'alice';
-            const other = users[this.otherUserId];
-            
-            // Import TalkJS dynamically
-            const { getTalkSession } = await import('https://cdn.jsdelivr.net/npm/@talkjs/core@1.5.8');
+            const { room } = options;
+            this.role = room.mode === 'spectate' ? 'spectator' : 'player';
+            const identity = loadPlayerIdentity();
+            const me = this.isSpectator()
+                ? { id: identity.id, name: identity.name ? `${identity.name} (spectator)` : 'Spectator' }
+                : identity;
+            if (this.isSpectator()) {
+                this.isMyTurn = false;
+            }
+            this.currentUserId = me.id;
+            this.roomCode = room.code;
+            this.players = { me, other: null };
             
-            const session = getTalkSession({
-                host: "durhack.talkjs.com",
-                appId: "tCc397Q9",
-                userId: me.id
+            this.transport = this.transport || createTransport();
+            await this.transport.connect({
+                me,
+                conversationId: getConversationId(room.code),
+                roomCode: room.code,
+                mode: room.mode,
+                settings: room.mode === 'create' ? normalizeMatchSettings(room.settings) : null
             });
+            this.connected = true;
+            this.matchSettings = normalizeMatchSettings(await this.transport.getRoomSettings());
+            this.turnTimer = new TurnTimer(this.matchSettings);
+            this.arbiter = new TurnArbiter(this.turnTimer);
             
-            await session.user(me.id).createIfNotExists(me);
-            await session.user(other.id).createIfNotExists(other);
+            // Track the opponent as soon as they join the room
+            this.unsubscribers.push(this.transport.subscribeParticipants(participants => this.updateParticipants(participants)));
             
-            const conversationId = [me.id, other.id].sort().join("--");
-            this.conversation = session.conversation(conversationId);
-            await this.conversation.createIfNotExists();
-            await this.conversation.participant(other.id).createIfNotExists();
+            if (this.transport.subscribeConnection) {
+                this.unsubscribers.push(this.transport.subscribeConnection(state => this.connectionChangeCallback?.(state)));
+            }
             
             // Subscribe to messages
-            this.conversation.subscribeMessages((messages, loadedAll) => {
+            this.unsubscribers.push(this.transport.subscribe((messages, loadedAll) => {
                 if (messages === null) {
                     console.error("Couldn't load messages");
                     return;
                 }
+                // Judging a window of the newest messages would reject them all as out of turn
+                if (!loadedAll) return;
+                // The first snapshot is the room's history; everything after it is live
+                const isHistory = !this.historyLoaded;
+                this.historyLoaded = true;
+                
+                // A message slotted in before ones already judged (two tabs sending at once)
+                // changes the order the turns were judged in: judge them all again
+                const firstNew = messages.findIndex(m => !this.processedMessages.has(m.id));
+                const lastJudged = messages.findLastIndex(m => this.processedMessages.has(m.id));
+                if (firstNew !== -1 && firstNew < lastJudged) {
+                    this.rejudge(messages);
+                    return;
+                }
                 
                 // Process new messages (batch to avoid excessive callbacks)
-                const newMessages = [];
-                messages.forEach(m => {
-                    if (!this.processedMessages.has(m.id)) {
-                        this.processedMessages.add(m.id);
-                        const senderName = m.sender?.name || 'System';
-                        const messageText = `${senderName}: ${m.plaintext}`;
-                        const senderId = m.sender?.id;
-                        
-                        // Extract effects data to track positions
-                        let effectsData = null;
-                        let positionInfo = null;
-                        if (m.custom && m.custom.effects) {
-                            try {
-                                effectsData = JSON.parse(m.custom.effects);
-                                // Extract position info for overlap prevention
-                                if (effectsData.animationPath && effectsData.animationPath.length > 0) {
-                                    const firstPos = effectsData.animationPath[0];
-                                    positionInfo = {
-                                        x: firstPos.x,
-                                        y: firstPos.y,
-                                        zone: this.getScreenZone(firstPos.x, firstPos.y)
-                                    };
-                                }
-                            } catch (e) {
-                                console.error('Failed to parse effects data:', e);
-                            }
-                        }
-                        
-                        // Store in conversation history for context with position data
-                        this.conversationHistory.push({
-                            sender: senderName,
-                            text: m.plaintext,
-                            timestamp: m.timestamp || Date.now(),
-                            position: positionInfo,
-                            hasParticles: effectsData?.particles !== undefined
-                        });
-                        
-                        // Keep only recent messages
-                        if (this.conversationHistory.length > this.maxHistoryLength) {
-                            this.conversationHistory.shift();
-                        }
-                        
-                        // Update turn tracking
-                        if (senderId) {
-                            this.lastMessageSenderId = senderId;
-                            // It's my turn if the other person just sent a message
-                            const wasMyTurn = this.isMyTurn;
-                            this.isMyTurn = (senderId !== this.currentUserId);
-                            
-                            // Notify turn change if callback exists and turn actually changed
-                            if (this.turnChangeCallback && wasMyTurn !== this.isMyTurn) {
-                                this.turnChangeCallback(this.isMyTurn);
-                            }
-                        }
-                        
-                        // Log effects if present
-                        if (effectsData) {
-                            console.log('Received message with effects:', messageText, effectsData);
-                        }
-                        
-                        newMessages.push({ text: messageText, effects: effectsData });
-                    }
-                });
+                const newMessages = messages
+                    .filter(m => !this.processedMessages.has(m.id))
+                    .map(m => this.processMessage(m));
                 
-                // Callback for each new message with effects data
-                if (this.messageCallback && newMessages.length > 0) {
-                    newMessages.forEach(msg => this.messageCallback(msg.text, msg.effects));
-                }
-            });
+                this.deliver(newMessages, isHistory);
+            }));
             
-            console.log('TalkJS initialized successfully');
+            console.log('Messaging transport initialized successfully');
+            return null;
         } catch (error) {
-            console.error('Error initializing TalkJS:', error);
+            console.error('Error initializing messaging transport:', error);
+            if (error instanceof RoomError) {
+                return { error: error.code, message: error.message };
+            }
+            return { error: 'CONNECTION_FAILED', message: 'Could not connect to the game server. Try again.' };
         }
     }
 
     /**
-     * Process message through Gemini API before sending
-     * @param {string} message - The original message
-     * @returns {Promise<Object>} - The processed response with animation data
+     * Judge a message and update the turn tracking, in conversation order
+     * @param {object} m - Transport message {id, sender, plaintext, custom, timestamp}
+     * @returns {{text: string, effects: object|null, meta: object}} - What the message handlers receive
      */
-    async processMessageThroughAPI(message) {
-        try {
-            // Dynamically import GoogleGenAI
-            const { GoogleGenAI, Type } = await import('@google/genai');
-            
-            // In Vite, use import.meta.env instead of process.env
-            // Add VITE_GEMINI_API_KEY to your .env file
-            const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-            
-            const ai = new GoogleGenAI({
-                apiKey: apiKey,
-            });
-            
-            const config = {
-                thinkingConfig: {
-                    thinkingBudget: 0,
-                },
-                imageConfig: {
-                    imageSize: '1K',
-                },
-                responseMimeType: 'application/json',
-                responseSchema: {
-                    type: Type.OBJECT,
-                    required: ["colors", "animationPath", "fontSize"],
-                    properties: {
-                        fontSize: {
-                            type: Type.NUMBER,
-                            description: "Font size: 20-48 pixels only"
-                        },
-                        colors: {
-                            type: Type.OBJECT,
-                            required: ["text", "background", "border"],
-                            properties: {
-                                text: {
-                                    type: Type.STRING,
-                                    description: "Text color hex: #000000 or #ffffff only"
-                                },
-                                background: {
-                                    type: Type.NUMBER,
-                                    description: "Background hex number (0x000000-0xffffff)"
-                                },
-                                border: {
-                                    type: Type.NUMBER,
-                                    description: "Border hex number (0x000000-0xffffff)"
-                                }
-                            }
-                        },
-                        animationPath: {
-                            type: Type.ARRAY,
-                            description: "1-3 waypoints only",
-                            items: {
-                                type: Type.OBJECT,
-                                required: ["x", "y", "duration"],
-                                properties: {
-                                    x: { type: Type.NUMBER, description: "X: 200-1720" },
-                                    y: { type: Type.NUMBER, description: "Y: 200-880" },
-                                    duration: { type: Type.NUMBER, description: "Duration: 800-2500ms" },
-                                    rotation: { type: Type.NUMBER, description: "Rotation: 0-6.28 (optional)" }
-                                }
-                            }
-                        },
-                        particles: {
-                            type: Type.OBJECT,
-                            description: "Custom particle effect config (optional, omit for no particles)",
-                            properties: {
-                                colors: {
-                                    type: Type.ARRAY,
-                                    description: "2-4 hex colors for particles",
-                                    items: { type: Type.NUMBER }
-                                },
-                                speed: { 
-                                    type: Type.OBJECT,
-                                    properties: {
-                                        min: { type: Type.NUMBER, description: "20-100" },
-                                        max: { type: Type.NUMBER, description: "40-150" }
-                                    }
-                                },
-                                angle: {
-                                    type: Type.OBJECT,
-                                    properties: {
-                                        min: { type: Type.NUMBER, description: "0-360" },
-                                        max: { type: Type.NUMBER, description: "0-360" }
-                                    }
-                                },
-                                scale: {
-                                    type: Type.OBJECT,
-                                    properties: {
-                                        start: { type: Type.NUMBER, description: "1-3" },
-                                        end: { type: Type.NUMBER, description: "0-1" }
-                                    }
-                                },
-                                lifespan: { type: Type.NUMBER, description: "500-2000ms" },
-                                frequency: { type: Type.NUMBER, description: "20-100ms" },
-                                quantity: { type: Type.NUMBER, description: "1-5 particles" }
-                            }
-                        }
-                    }
-                }
-            };
-            
-            const model = 'gemini-flash-lite-latest';
-            
-            // Build conversation history context with detailed battle context
-            let historyContext = '';
-            if (this.conversationHistory.length > 0) {
-                const recentHistory = this.conversationHistory.slice(-8);
-                historyContext = '\n\n=== RECENT BATTLE HISTORY (Last 8 messages) ===\n';
-                recentHistory.forEach((msg, index) => {
-                    const posInfo = msg.position ? ` [Position: ${msg.position.zone} (${msg.position.x},${msg.position.y})]` : '';
-                    const particleInfo = msg.hasParticles ? ' [HAS PARTICLES]' : ' [NO PARTICLES]';
-                    historyContext += `[${index + 1}] ${msg.sender}: "${msg.text}"${posInfo}${particleInfo}\n`;
-                });
-                
-                // Analyze battle progression
-                const attackKeywords = ['fire', 'ice', 'attack', 'strike', 'blast', 'explosion', 'punch', 'kick', 'shoot', 'throw', 'slash'];
-                const defenseKeywords = ['block', 'shield', 'dodge', 'defend', 'counter', 'parry', 'reflect'];
-                
-                let attackCount = 0;
-                let lastAttackType = null;
-                recentHistory.forEach(msg => {
-                    const text = msg.text.toLowerCase();
-                    if (attackKeywords.some(kw => text.includes(kw))) {
-                        attackCount++;
-                        // Detect element type from last attack
-                        if (text.includes('fire') || text.includes('flame') || text.includes('burn')) lastAttackType = 'fire';
-                        else if (text.includes('ice') || text.includes('freeze') || text.includes('frost')) lastAttackType = 'ice';
-                        else if (text.includes('poison') || text.includes('toxic') || text.includes('venom')) lastAttackType = 'poison';
-                        else if (text.includes('lightning') || text.includes('thunder') || text.includes('electric')) lastAttackType = 'electric';
-                    }
-                });
-                
-                // Analyze zone usage to help avoid overlaps
-                const zoneUsage = {};
-                const recentPositions = recentHistory.filter(msg => msg.position).slice(-5); // Last 5 positioned messages
-                recentPositions.forEach(msg => {
-                    const zone = msg.position.zone;
-                    zoneUsage[zone] = (zoneUsage[zone] || 0) + 1;
-                });
-                
-                // Find least used zones
-                const allZones = ['left-top', 'left-middle', 'left-bottom', 'center-top', 'center-middle', 'center-bottom', 'right-top', 'right-middle', 'right-bottom'];
-                const leastUsedZones = allZones.filter(z => !zoneUsage[z] || zoneUsage[z] < 2);
-                
-                historyContext += '\n=== BATTLE CONTEXT ANALYSIS ===\n';
-                historyContext += `- Battle Intensity: ${attackCount < 2 ? 'LOW (early game)' : attackCount < 4 ? 'MEDIUM (heating up)' : 'HIGH (intense battle)'}\n`;
-                if (lastAttackType) {
-                    historyContext += `- Last Element Used: ${lastAttackType.toUpperCase()} (consider counter-element)\n`;
-                }
-                historyContext += `- Message Count: ${recentHistory.length} (more messages = more escalation needed)\n`;
-                
-                if (recentPositions.length > 0) {
-                    historyContext += `- Recent Positions Used: ${recentPositions.map(m => m.position.zone).join(', ')}\n`;
-                    if (leastUsedZones.length > 0) {
-                        historyContext += `- SUGGESTED ZONES (less crowded): ${leastUsedZones.slice(0, 3).join(', ')}\n`;
-                    }
+    processMessage(m) {
+        this.processedMessages.add(m.id);
+        const senderName = m.sender?.name || 'System';
+        const messageText = `${senderName}: ${m.plaintext}`;
+        const senderId = m.sender?.id;
+        // A forfeit can be sent at any time, so it never goes through the arbiter
+        const forfeit = m.custom?.forfeit === 'true';
+        const verdict = forfeit ? { accepted: false, reason: null, turn: null } : this.arbiter.judge(m);
+        if (!verdict.accepted && !forfeit) {
+            console.warn(`Rejected message ${m.id} from ${senderName}: ${verdict.reason}`);
+        }
+        
+        // Extract effects data to track positions
+        let effectsData = null;
+        let positionInfo = null;
+        if (m.custom && m.custom.effects) {
+            try {
+                // Never trust effects from the wire: clamp them to the schema limits
+                effectsData = this.sanitizeEffects(JSON.parse(m.custom.effects), 'received');
+                // Extract position info for overlap prevention
+                if (effectsData && effectsData.animationPath.length > 0) {
+                    const firstPos = effectsData.animationPath[0];
+                    positionInfo = {
+                        x: firstPos.x,
+                        y: firstPos.y,
+                        zone: this.getScreenZone(firstPos.x, firstPos.y)
+                    };
                 }
-                
-                historyContext += '\n=== YOUR OBJECTIVES ===\n';
-                historyContext += '1. AVOID OVERLAPPING: Vary X/Y positions from recent messages (spread across screen)\n';
-                historyContext += '2. PROGRESSIVE ESCALATION: Each attack should be MORE intense than previous\n';
-                historyContext += '3. ELEMENTAL COUNTERS: Fire↔Ice, Lightning↔Earth, Poison↔Holy\n';
-                historyContext += '4. POSITION VARIETY: Don\'t cluster all effects in same area\n';
-                historyContext += '5. NARRATIVE FLOW: Make this message a logical next step in the battle story\n';
-                historyContext += '6. TIMING VARIETY: Alternate between fast strikes (800-1200ms) and dramatic moves (1800-2500ms)\n';
+            } catch (e) {
+                console.error('Failed to parse effects data:', e);
             }
-            
-            const prompt = `You are a creative game effects designer. Generate visual effects for text box animations.
-
-STRICT RULES (VIOLATIONS WILL FAIL):
-1. Text color: ONLY #000000 (black) or #ffffff (white)
-2. Text color selection:
-   - Dark backgrounds (0x000000-0x888888): Use #ffffff
-   - Light backgrounds (0x999999-0xffffff): Use #000000
-3. Font size: 20-48 only
-4. Animation path: 1-3 waypoints MAXIMUM
-5. X position: 200-1720, Y position: 200-880
-6. Duration: 800-2500ms per waypoint
-7. Particles are OPTIONAL - omit entire "particles" object for simple messages
-
-PARTICLE RULES (when included):
-- Colors: 2-4 hex numbers (e.g., [0xff0000, 0xff6600, 0xffaa00])
-- Speed: min 20-100, max 40-150
-- Angle: 0-360 degrees
-- Scale: start 1-3, end 0-1
-- Lifespan: 500-2000ms
-- Frequency: 20-100ms
-- Quantity: 1-5 particles per emission
-
-THEME GUIDELINES:
-- Fire: Red/orange particles (0xcc0000, 0xff4500, 0xff9900), upward angle 250-290
-- Ice: Blue/white particles (0x0099ff, 0x66ccff, 0xffffff), downward or outward
-- Poison: Green/yellow particles (0x00cc00, 0x66ff00, 0xffff00), bubbling effect
-- Energy: Bright particles (0xffff00, 0x00ffff, 0xff00ff), fast speed
-- Simple messages: NO particles
-
-EXAMPLES:
-
-Message: "fireball"
-Response: {"fontSize":38,"colors":{"text":"#ffffff","background":0xcc0000,"border":0x990000},"animationPath":[{"x":400,"y":400,"duration":1000},{"x":1500,"y":400,"duration":1200,"rotation":3.14}],"particles":{"colors":[0xff0000,0xff6600,0xffaa00],"speed":{"min":60,"max":120},"angle":{"min":250,"max":290},"scale":{"start":2.5,"end":0.5},"lifespan":1200,"frequency":30,"quantity":3}}
-
-Message: "ice shard"
-Response: {"fontSize":32,"colors":{"text":"#ffffff","background":0x0066cc,"border":0x004499},"animationPath":[{"x":960,"y":300,"duration":1500},{"x":960,"y":700,"duration":2000}],"particles":{"colors":[0x00ccff,0x66ffff,0xffffff],"speed":{"min":30,"max":60},"angle":{"min":80,"max":100},"scale":{"start":2,"end":0},"lifespan":1500,"frequency":40,"quantity":2}}
-
-Message: "hello there"
-Response: {"fontSize":28,"colors":{"text":"#000000","background":0xffffff,"border":0xe5e7eb},"animationPath":[{"x":600,"y":400,"duration":2000},{"x":1300,"y":400,"duration":2000}]}
-
-Message: "BOOM!"
-Response: {"fontSize":46,"colors":{"text":"#ffffff","background":0xff4500,"border":0xcc3300},"animationPath":[{"x":960,"y":540,"duration":800,"rotation":6.28}],"particles":{"colors":[0xff0000,0xff6600,0xff9900,0xffcc00],"speed":{"min":80,"max":150},"angle":{"min":0,"max":360},"scale":{"start":3,"end":0},"lifespan":800,"frequency":20,"quantity":5}}
-
-Message: "whisper"
-Response: {"fontSize":22,"colors":{"text":"#000000","background":0xcccccc,"border":0x999999},"animationPath":[{"x":800,"y":450,"duration":2500}]}
-
-Message: "poison cloud"
-Response: {"fontSize":30,"colors":{"text":"#ffffff","background":0x009900,"border":0x006600},"animationPath":[{"x":700,"y":400,"duration":1800},{"x":1200,"y":500,"duration":2000}],"particles":{"colors":[0x00cc00,0x66ff00,0x99ff33],"speed":{"min":25,"max":50},"angle":{"min":260,"max":280},"scale":{"start":2,"end":3},"lifespan":1800,"frequency":50,"quantity":2}}
-
-CRITICAL: AVOID OVERLAPPING EFFECTS
-- Spread effects across screen (vary X positions: left=200-600, center=700-1200, right=1300-1720)
-- Alternate Y positions (top=200-400, middle=400-700, bottom=700-880)
-- If recent messages used left side, move to center or right
-- Don't use same position consecutively
-
-BATTLE STORY COHERENCE:
-1. ESCALATION CURVE:
-   - Messages 1-2: Small effects (fontSize 20-28, minimal particles)
-   - Messages 3-5: Medium effects (fontSize 30-38, moderate particles)
-   - Messages 6+: Large effects (fontSize 40-48, intense particles)
-
-2. ELEMENTAL COUNTER-PLAY:
-   - Fire (red/orange) → Counter with Ice (blue/white)
-   - Ice (blue) → Counter with Fire (red/orange)  
-   - Poison (green) → Counter with Holy/Light (yellow/white)
-   - Lightning (yellow/cyan) → Counter with Earth (brown/green)
-   - Use opposite colors and themes
-
-3. POSITION STORYTELLING:
-   - Aggressive attacks: Move toward opponent (x increases if Alice, decreases if Bob)
-   - Defensive moves: Stay in place or retreat (single waypoint)
-   - Dodges: Quick diagonal movement (2 waypoints, short duration)
-   - Ultimate attacks: Center screen (x=960, y=540)
-
-4. TIMING VARIATION:
-   - Quick attacks: 800-1200ms duration
-   - Normal moves: 1200-1800ms duration  
-   - Power moves: 1800-2500ms duration
-   - Alternate fast/slow to create rhythm
-
-5. PARTICLE INTENSITY MATCHING:
-   - Early game: quantity 1-2, frequency 50-100ms
-   - Mid game: quantity 2-3, frequency 30-50ms
-   - Late game: quantity 3-5, frequency 20-30ms
-${historyContext}
-
-Now analyze this message and generate appropriate effects:
-Message: "${message}"
-
-Return ONLY valid JSON matching the schema.`;
-
-            const contents = [
-                {
-                    role: 'user',
-                    parts: [
-                        {
-                            text: prompt,
-                        },
-                    ],
-                },
-            ];
-
-            const response = await ai.models.generateContentStream({
-                model,
-                config,
-                contents,
-            });
-            
-            // Collect all chunks from the stream
-            let fullResponse = '';
-            for await (const chunk of response) {
-                fullResponse += chunk.text;
+        }
+        
+        // Store accepted messages in conversation history for context with position data
+        if (verdict.accepted) this.conversationHistory.push({
+            sender: senderName,
+            text: m.plaintext,
+            timestamp: m.timestamp ?? Date.now(),
+            position: positionInfo,
+            hasParticles: effectsData?.particles !== undefined
+        });
+        
+        // Keep only recent messages
+        if (this.conversationHistory.length > this.maxHistoryLength) {
+            this.conversationHistory.shift();
+        }
+        
+        // The message closing a round carries the judge's scores
+        let round = null;
+        if (verdict.accepted) {
+            const word = { playerId: senderId, name: senderName, text: m.plaintext, turn: verdict.turn };
+            round = this.readRoundScores(m, word);
+            this.matchWords.push(word);
+        }
+        
+        // A message from someone else also tells us who the opponent is
+        if (senderId && senderId !== this.currentUserId && !this.otherUserId && !this.isSpectator()) {
+            this.updateParticipants([m.sender]);
+        }
+        
+        // Update turn tracking; rejected messages don't change whose turn it is
+        if (verdict.accepted) {
+            this.lastMessageTimestamp = m.timestamp ?? Date.now();
+            this.timerState = null; // The new message restarts the clock
+        }
+        const ownRejected = !verdict.accepted && senderId === this.currentUserId && verdict.turn === this.pendingTurn;
+        if (this.pendingTurn !== null && (this.arbiter.turn >= this.pendingTurn || ownRejected)) {
+            // Our claimed turn has been decided, one way or the other
+            this.pendingTurn = null;
+            if (ownRejected && this.turnChangeCallback) {
+                this.turnChangeCallback(this.isMyTurn);
             }
+        }
+        if (verdict.accepted && this.isSpectator()) {
+            // Spectators only follow whose turn it is
+            const changed = this.lastMessageSenderId !== senderId;
+            this.lastMessageSenderId = senderId;
+            if (this.turnChangeCallback && changed) {
+                this.turnChangeCallback(false);
+            }
+        } else if (verdict.accepted) {
+            this.lastMessageSenderId = senderId;
+            // It's my turn if the other person just sent a message
+            const wasMyTurn = this.isMyTurn;
+            this.isMyTurn = (senderId !== this.currentUserId);
             
-            // Parse the JSON response
-            const processedData = JSON.parse(fullResponse);
-            
-            
-            return processedData;
-            
+            // Notify turn change if callback exists and turn actually changed
+            if (this.turnChangeCallback && wasMyTurn !== this.isMyTurn) {
+                this.turnChangeCallback(this.isMyTurn);
+            }
+        }
+        
+        // Log effects if present
+        if (effectsData) {
+            console.log('Received message with effects:', messageText, effectsData);
+        }
+        
+        return {
+            text: messageText,
+            effects: effectsData,
+            meta: {
+                id: m.id,
+                senderId,
+                senderName,
+                plaintext: m.plaintext,
+                timestamp: m.timestamp,
+                turn: verdict.turn,
+                rejected: verdict.reason,
+                round,
+                forfeit
+            }
+        };
+    }
+
+    /**
+     * Forget every verdict and judge the conversation again from its first message.
+     * Every client then has the verdicts of the same order; the handlers are detached
+     * and the conversation is held as history for whoever attaches next (see onResync in attach()).
+     * @param {Array<object>} messages - The whole conversation, oldest first
+     */
+    rejudge(messages) {
+        console.warn('Messages arrived out of order; judging the turns again');
+        const onResync = this.resyncCallback;
+        this.messageCallback = null;
+        this.turnChangeCallback = null;
+        this.historyCallback = null;
+        this.resyncCallback = null;
+        
+        this.processedMessages = new Set();
+        this.conversationHistory = [];
+        this.matchWords = [];
+        this.undelivered = [];
+        this.lastMessageSenderId = null;
+        this.lastMessageTimestamp = null;
+        this.timerState = null;
+        this.arbiter = new TurnArbiter(this.turnTimer);
+        this.isMyTurn = !this.isSpectator();
+        
+        this.deliver(messages.map(m => this.processMessage(m)), true);
+        onResync?.();
+    }
+
+    /**
+     * Hand received messages to the handlers, or hold them until a handler is attached
+     * @param {Array<{text: string, effects: object|null, meta: object}>} messages
+     * @param {boolean} isHistory - Whether this is the room's history
+     */
+    deliver(messages, isHistory) {
+        if (!this.messageCallback) {
+            this.undelivered.push({ messages, isHistory });
+            return;
+        }
+        // Callback for each new message with effects data
+        if (isHistory && this.historyCallback) {
+            this.historyCallback(messages);
+        } else if (messages.length > 0) {
+            messages.forEach(msg => this.messageCallback(msg.text, msg.effects, msg.meta));
+        }
+    }
+
+    /**
+     * Replace the callbacks given to initialize() (e.g. when the battle scene takes over
+     * from the lobby) and deliver the messages held while nobody was listening
+     * @param {object} handlers
+     * @param {Function} handlers.onMessage - As onMessageReceived in initialize()
+     * @param {Function} handlers.onTurnChange - As onTurnChange in initialize()
+     * @param {Function} handlers.onPlayersChange - As options.onPlayersChange in initialize()
+     * @param {Function} handlers.onHistory - As options.onHistory in initialize()
+     * @param {Function} handlers.onConnectionChange - As options.onConnectionChange in initialize()
+     * @param {Function} handlers.onResync - Called when messages arrived out of order and every turn was judged again:
+     *   the handlers are detached by then and the room's whole history waits for the next attach()
+     */
+    attach({ onMessage = null, onTurnChange = null, onPlayersChange = null, onHistory = null, onConnectionChange = null, onResync = null }) {
+        this.messageCallback = onMessage;
+        this.resyncCallback = onResync;
+        this.turnChangeCallback = onTurnChange;
+        this.playersChangeCallback = onPlayersChange;
+        this.historyCallback = onHistory;
+        this.connectionChangeCallback = onConnectionChange;
+
+        const held = this.undelivered;
+        this.undelivered = [];
+        held.forEach(({ messages, isHistory }) => this.deliver(messages, isHistory));
+    }
+
+    /**
+     * Close the transport subscriptions; callbacks won't fire afterwards
+     */
+    disconnect() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.transport?.disconnect();
+        if (this.ownsTransport) {
+            this.transport = null;
+        }
+        this.connected = false;
+        this.messageCallback = null;
+        this.turnChangeCallback = null;
+        this.playersChangeCallback = null;
+        this.historyCallback = null;
+        this.connectionChangeCallback = null;
+        this.resyncCallback = null;
+    }
+
+    /**
+     * Record the opponent once they appear in the participant list
+     * @param {Array<{id: string, name: string}>} participants
+     */
+    updateParticipants(participants) {
+        if (this.isSpectator()) {
+            // Read-only participants are other spectators
+            const combatants = participants.filter(p => p.access !== 'Read').slice(0, 2);
+            if (combatants.map(p => p.id).join() === this.spectatedPlayers.map(p => p.id).join()) return;
+            this.spectatedPlayers = combatants;
+            if (combatants.length === 2 && this.playersChangeCallback) {
+                this.playersChangeCallback(this.players);
+            }
+            return;
+        }
+
+        const other = participants.find(p => p.id !== this.currentUserId);
+        if (!other || (other.id === this.otherUserId && other.name === this.players.other?.name)) {
+            return;
+        }
+
+        this.otherUserId = other.id;
+        this.players = { ...this.players, other };
+        if (this.playersChangeCallback) {
+            this.playersChangeCallback(this.players);
+        }
+    }
+
+    /**
+     * Generate effects for a message before sending.
+     * Uses the session's effects provider and falls back to the rule-based
+     * provider when it fails, so a failed API call still gives a themed effect.
+     * @param {string} message - The original message
+     * @param {object} options
+     * @param {boolean} options.forceRegenerate - Bypass the provider's cache
+     * @returns {Promise<Object>} - The processed response with animation data
+     */
+    async processMessageThroughAPI(message, { forceRegenerate = false } = {}) {
+        try {
+            return await this.effectsProvider.generate(message, this.conversationHistory, { forceRegenerate });
         } catch (error) {
-            console.error('Error processing message through Gemini API:', error);
-            // Fallback to a default response structure if API fails
-            return {
-                fontSize: 28,
-                colors: {
-                    text: '#000000',
-                    background: 0xffffff,
-                    border: 0xe5e7eb
-                },
-                animationPath: [
-                    { x: 600, y: 400, duration: 2000 },
-                    { x: 1300, y: 400, duration: 2000 }
-                ]
-            };
+            console.error(`Error generating effects with the ${this.effectsProvider.name} provider:`, error);
+            return this.fallbackEffectsProvider.generate(message, this.conversationHistory);
+        }
+    }
+
+    /**
+     * The words of the round a turn closes, and everything said before them
+     * @param {number} turn - Turn that closes the round
+     * @param {{playerId: string, name: string, text: string}} closingWord - The message taking that turn
+     * @returns {{round: number, words: Array<object>, history: Array<object>}}
+     */
+    getExchange(turn, closingWord) {
+        return {
+            round: getRoundNumber(turn),
+            words: [...this.matchWords.filter(word => word.turn === turn - 1), closingWord],
+            history: this.matchWords.filter(word => word.turn < turn - 1)
+        };
+    }
+
+    /**
+     * Score the round our message is about to close.
+     * Uses the session's judge and falls back to the local judge when it fails.
+     * @param {string} text - The message being sent
+     * @param {number} turn - Turn it claims
+     * @returns {Promise<{round: number, judge: string, scores: object}>} - Payload for the message's custom data
+     */
+    async judgeRound(text, turn) {
+        const { me } = this.players;
+        const exchange = this.getExchange(turn, { playerId: me.id, name: me.name, text });
+        try {
+            return { round: exchange.round, judge: this.judge.name, scores: await this.judge.score(exchange) };
+        } catch (error) {
+            console.error(`Error judging round ${exchange.round} with the ${this.judge.name} judge:`, error);
+            return { round: exchange.round, judge: this.fallbackJudge.name, scores: await this.fallbackJudge.score(exchange) };
         }
     }
 
     /**
-     * Send a message through TalkJS (with optional Gemini API processing)
+     * Read the round scores carried by an accepted message, if it closes a round.
+     * Missing or invalid scores are replaced by the local judge's, which every client works out the same way.
+     * @param {object} message - Transport message
+     * @param {{playerId: string, name: string, text: string, turn: number}} word - The message as a word of the match
+     * @returns {{round: number, judge: string, scores: object}|null}
+     */
+    readRoundScores(message, word) {
+        if (!closesRound(word.turn, this.matchSettings.rounds)) return null;
+
+        const exchange = this.getExchange(word.turn, word);
+        const expected = { round: exchange.round, speakerIds: [...new Set(exchange.words.map(word => word.playerId))] };
+        const synced = normalizeRoundScores(message.custom?.round, expected);
+        if (synced) return synced;
+
+        console.warn(`Message ${message.id} has no valid scores for round ${exchange.round}, using the local judge`);
+        return normalizeRoundScores({ round: exchange.round, judge: this.fallbackJudge.name, scores: scoreExchange(exchange) }, expected);
+    }
+
+    /**
+     * Validate an effects payload, logging anything that had to be clamped or removed
+     * @param {*} effects - Effects data from a provider or a received message
+     * @param {string} source - Where the payload came from, for the log ('generated', 'preset' or 'received')
+     * @returns {Object|null} - The sanitized effects, or null if the payload was rejected
+     */
+    sanitizeEffects(effects, source) {
+        const { effects: sanitized, changes } = validateEffects(effects);
+        if (changes.length > 0) {
+            console.warn(`Adjusted ${source} effects payload:`, changes);
+        }
+        return sanitized;
+    }
+
+    /**
+     * Switch the effects provider for the rest of the session
+     * @param {string} name - 'gemini' or 'local'
+     */
+    setEffectsProvider(name) {
+        setEffectsProviderName(name);
+        this.effectsProvider = createEffectsProvider(name);
+    }
+
+    /**
+     * Send a message through the messaging transport (with optional effects processing).
+     * Spell names (or /cast <name>) use the spell's preset instead of generating effects,
+     * unless the message is sent without effects.
+     * The turn only passes once the message comes back from the transport and the arbiter accepts it;
+     * a failed send keeps the turn.
      * @param {string} message - The message to send
-     * @param {boolean} processWithAPI - Whether to process the message through Gemini API first (default: true)
-     * @returns {Promise<Object|null>} - The processed data from Gemini (if processWithAPI is true), or null if not your turn
+     * @param {boolean} processWithAPI - Whether to generate effects for the message first (default: true)
+     * @param {object} options
+     * @param {boolean} options.regenerate - Generate fresh effects instead of reusing cached ones
+     * @returns {Promise<Object|null>} - The generated effects data (if processWithAPI is true), or {error, message}
+     *   (SPECTATOR, NOT_YOUR_TURN, UNKNOWN_SPELL or SEND_FAILED)
      */
-    async sendMessage(message, processWithAPI = true) {
-        if (!this.conversation || !message.trim()) {
+    async sendMessage(message, processWithAPI = true, { regenerate = false } = {}) {
+        if (!this.connected || !message.trim()) {
             return null;
         }
 
-        // Check if it's the player's turn
-        if (!this.isMyTurn) {
+        // Spectators can watch but never send
+        if (this.isSpectator()) {
+            return { error: 'SPECTATOR', message: 'Spectators cannot send messages.' };
+        }
+
+        // Check if it's the player's turn (and we aren't already sending for it)
+        if (!this.canSendMessage()) {
             console.warn('Not your turn! Wait for the other player to respond.');
             return { error: 'NOT_YOUR_TURN', message: 'Wait for the other player to respond first.' };
         }
 
+        const cast = processWithAPI ? this.spellCatalog.resolve(message) : null;
+        if (cast?.error) {
+            return cast;
+        }
+
+        // Claim the turn before generating effects, so a second send can't slip in meanwhile
+        const claim = this.arbiter.createClaim();
+        this.pendingTurn = Number(claim.turn);
+        if (this.turnChangeCallback) {
+            this.turnChangeCallback(false);
+        }
+
         try {
             let processedData = null;
+            let text = message;
 
-            if (processWithAPI) {
-                // Process message through Gemini API
-                processedData = await this.processMessageThroughAPI(message);
+            if (cast) {
+                // Presets skip the effects provider entirely
+                text = cast.text;
+                processedData = this.sanitizeEffects(cast.effects, 'preset');
+                console.log(`Casting ${cast.spell.name} (${cast.variant || 'base'}, ${cast.intensity}):`, processedData);
+            } else if (processWithAPI) {
+                // Generate effects with the session's provider
+                processedData = this.sanitizeEffects(await this.processMessageThroughAPI(message, { forceRegenerate: regenerate }), 'generated');
                 console.log('Original message:', message);
-                console.log('Gemini processed data:', processedData);
+                console.log(`Effects from ${this.effectsProvider.name} provider:`, processedData);
             }
 
-            // Send the message via TalkJS with effects data in custom field
+            // Send the message via the transport with effects data in custom field
+            // The turn claim travels with the message so every client can judge it
+            const custom = { ...claim };
             if (processedData) {
-                this.conversation.send({
-                    text: message,
-                    custom: {
-                        effects: JSON.stringify(processedData)
-                    }
-                });
-            } else {
-                this.conversation.send(message);
+                custom.effects = JSON.stringify(processedData);
             }
-            
-            // Update turn state - it's now the other player's turn
-            this.isMyTurn = false;
-            if (this.turnChangeCallback) {
-                this.turnChangeCallback(this.isMyTurn);
+            if (cast) {
+                custom.spell = cast.spell.id;
+            }
+            // Closing a round: the judge's scores travel with the message
+            if (closesRound(Number(claim.turn), this.matchSettings.rounds)) {
+                custom.round = JSON.stringify(await this.judgeRound(text, Number(claim.turn)));
+            }
+            // Another message may have taken the turn while effects were generated
+            if (this.pendingTurn !== Number(claim.turn)) {
+                if (this.turnChangeCallback) {
+                    this.turnChangeCallback(this.isMyTurn);
+                }
+                return { error: 'NOT_YOUR_TURN', message: 'The other player moved first.' };
             }
+            await this.transport.send({ text, custom });
             
             // Return the processed data so the caller can use it for animations
             return processedData;
             
         } catch (error) {
             console.error('Error sending message:', error);
-            // Send original message as fallback
-            this.conversation.send(message);
             
-            // Still update turn even on error
-            this.isMyTurn = false;
+            // Nothing was sent, so the turn is still ours
+            if (this.pendingTurn === Number(claim.turn)) {
+                this.pendingTurn = null;
+            }
             if (this.turnChangeCallback) {
                 this.turnChangeCallback(this.isMyTurn);
             }
             
+            return { error: 'SEND_FAILED', message: "Your spell didn't go through. Try again." };
+        }
+    }
+
+    /**
+     * Concede the match. A forfeit goes out whatever the turn, and every client
+     * ends the battle when it arrives.
+     * @returns {Promise<Object|null>} - null once sent, or {error, message} (SPECTATOR or SEND_FAILED)
+     */
+    async forfeit() {
+        if (!this.connected) {
             return null;
         }
+        if (this.isSpectator()) {
+            return { error: 'SPECTATOR', message: 'Spectators cannot forfeit.' };
+        }
+
+        try {
+            await this.transport.send({ text: 'I forfeit.', custom: { forfeit: 'true' } });
+            return null;
+        } catch (error) {
+            console.error('Error sending forfeit:', error);
+            return { error: 'SEND_FAILED', message: "Your forfeit didn't go through. Try again." };
+        }
     }
 
     /**
@@ -523,7 +621,7 @@ Return ONLY valid JSON matching the schema.`;
      * @returns {boolean} - True if it's this player's turn to send a message
      */
     canSendMessage() {
-        return this.isMyTurn;
+        return this.isMyTurn && this.pendingTurn === null;
     }
 
     /**
@@ -531,12 +629,97 @@ Return ONLY valid JSON matching the schema.`;
      * @returns {Object} - Object with isMyTurn boolean and turnMessage string
      */
     getTurnState() {
+        if (this.isSpectator()) {
+            // Whoever didn't send the last message is up next, unless their time ran out
+            const nextId = this.timerState ? this.timerState.holderId : this.getCombatants().find(p => p.id !== this.lastMessageSenderId)?.id;
+            const next = this.getCombatants().find(p => p.id === nextId);
+            return {
+                isMyTurn: false,
+                currentPlayerId: this.lastMessageSenderId ? next?.id ?? null : null,
+                turnMessage: this.lastMessageSenderId && next ? `${next.name}'s turn` : 'Waiting for the first move...'
+            };
+        }
+
         return {
             isMyTurn: this.isMyTurn,
+            currentPlayerId: this.isMyTurn ? this.currentUserId : this.otherUserId,
             turnMessage: this.isMyTurn ? 'Your turn' : 'Waiting for opponent...'
         };
     }
 
+    /**
+     * Get the settings the room was created with
+     * @returns {object} - {turnTimeLimit, onTimeout, rounds}
+     */
+    getMatchSettings() {
+        return this.matchSettings;
+    }
+
+    /**
+     * Advance the turn clock. Call regularly (e.g. every frame).
+     * With 'skip', an expired turn passes to the other player; with 'forfeit',
+     * the result names the player who ran out of time. Everything is derived from
+     * the last synced message, so both clients reach the same result.
+     * @param {number} now - Current time in ms
+     * @returns {{holderId: string|null, deadline: number, remaining: number, skipped: number, forfeitedBy: string|null}|null} -
+     *   null when there is no time limit or the clock hasn't started (it starts with the first message)
+     */
+    updateTurnTimer(now = Date.now()) {
+        const combatants = this.getCombatants();
+        if (!this.connected || combatants.length < 2) return null;
+
+        const previous = this.timerState;
+        this.timerState = this.turnTimer.evaluate({
+            lastSenderId: this.lastMessageSenderId,
+            lastTimestamp: this.lastMessageTimestamp,
+            playerIds: combatants.map(p => p.id),
+            now
+        });
+        if (!this.timerState) return null;
+
+        const holderChanged = previous?.holderId !== this.timerState.holderId;
+        if (this.isSpectator()) {
+            if (holderChanged && this.turnChangeCallback) {
+                this.turnChangeCallback(false);
+            }
+        } else {
+            const wasMyTurn = this.isMyTurn;
+            this.isMyTurn = this.timerState.holderId === this.currentUserId;
+            if (this.turnChangeCallback && wasMyTurn !== this.isMyTurn) {
+                this.turnChangeCallback(this.isMyTurn);
+            }
+        }
+        return this.timerState;
+    }
+
+    /**
+     * Check whether this client is only watching
+     * @returns {boolean}
+     */
+    isSpectator() {
+        return this.role === 'spectator';
+    }
+
+    /**
+     * Get the two combatants in screen order (left, right).
+     * For players that is [me, opponent]; spectators see the players in the order they joined.
+     * @returns {Array<{id: string, name: string}>} - Fewer than two entries until both have joined
+     */
+    getCombatants() {
+        if (this.isSpectator()) {
+            return this.spectatedPlayers;
+        }
+        return [this.players?.me, this.players?.other].filter(Boolean);
+    }
+
+    /**
+     * Get both combatants
+     * @returns {{me: {id: string, name: string}, other: {id: string, name: string}|null}|null}
+     */
+    getPlayers() {
+        return this.players;
+    }
+
     /**
      * Helper method to determine screen zone for position tracking
      * @param {number} x - X coordinate
@@ -0,0 +1,138 @@
+import { analyzeBattle } from '../../utils/battleAnalysis.js';
+
+const STORAGE_KEY = 'thelastword:effects-cache';
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // One week
+const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * Normalize a message for the cache key: case, spacing and trailing punctuation don't matter
+ * @param {string} message
+ * @returns {string}
+ */
+export function normalizeMessage(message) {
+    return message.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?\s]+$/, '').trim();
+}
+
+/**
+ * Summarise the battle context the effects depend on
+ * @param {Array<object>} history - Recent conversation history entries
+ * @returns {string} - e.g. "MEDIUM|fire"
+ */
+export function summarizeContext(history) {
+    const { intensity, lastAttackType } = analyzeBattle(history);
+    return `${intensity}|${lastAttackType ?? 'none'}`;
+}
+
+/**
+ * Wraps an effects provider with a persistent cache in localStorage.
+ * Entries are keyed by the normalized message plus a summary of the battle
+ * context, expire after a TTL and are evicted least recently used first.
+ * Concurrent requests for the same key share one call. Cached payloads are
+ * returned as the provider produced them, so they still go through the
+ * caller's effects validation.
+ */
+export class CachedEffectsProvider {
+    /**
+     * @param {object} provider - Provider to cache, implementing generate(message, history)
+     * @param {object} options
+     * @param {number} options.ttl - Lifetime of an entry in ms
+     * @param {number} options.maxEntries - Entries kept before the least recently used are evicted
+     */
+    constructor(provider, { ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.inFlight = new Map(); // Cache key -> pending generate() promise
+    }
+
+    /**
+     * Generate effects for a message, from the cache when possible
+     * @param {string} message - The original message
+     * @param {Array<object>} history - Recent conversation history entries
+     * @param {object} options
+     * @param {boolean} options.forceRegenerate - Skip the cache lookup and replace the entry
+     * @returns {Promise<Object>} - Effects data
+     * @throws {Error} - When the wrapped provider fails; failures are never cached
+     */
+    async generate(message, history = [], { forceRegenerate = false } = {}) {
+        const key = `${this.name}|${summarizeContext(history)}|${normalizeMessage(message)}`;
+
+        if (!forceRegenerate) {
+            const cached = this.read(key);
+            if (cached) {
+                console.log('Effects cache hit:', key);
+                return cached;
+            }
+        }
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this.provider.generate(message, history)
+            .then(effects => {
+                this.write(key, effects);
+                return effects;
+            })
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Remove every cached entry
+     */
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    read(key) {
+        const entries = this.load();
+        const entry = entries[key];
+        if (!entry) return null;
+
+        if (Date.now() - entry.storedAt > this.ttl) {
+            delete entries[key];
+            this.store(entries);
+            return null;
+        }
+
+        entry.lastUsed = Date.now();
+        this.store(entries);
+        return entry.effects;
+    }
+
+    write(key, effects) {
+        const entries = this.load();
+        const now = Date.now();
+        entries[key] = { effects, storedAt: now, lastUsed: now };
+
+        // Drop expired entries, then the least recently used beyond the limit
+        const keys = Object.keys(entries)
+            .filter(k => now - entries[k].storedAt <= this.ttl)
+            .sort((a, b) => entries[b].lastUsed - entries[a].lastUsed);
+        const kept = {};
+        keys.slice(0, this.maxEntries).forEach(k => {
+            kept[k] = entries[k];
+        });
+        this.store(kept);
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    store(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            // Storage full: carry on without caching
+            console.warn('Could not persist effects cache:', e);
+        }
+    }
+}
@@ -0,0 +1,332 @@
+import { analyzeBattle } from '../../utils/battleAnalysis.js';
+import { COUNTERS, classifyMessage } from '../../systems/RulesEngine.js';
+import { WIZARD_POSITIONS } from '../../utils/ArenaSpace.js';
+
+const INTENSITY_LABELS = {
+    LOW: 'LOW (early game)',
+    MEDIUM: 'MEDIUM (heating up)',
+    HIGH: 'HIGH (intense battle)'
+};
+
+/**
+ * Effects provider that asks Gemini to design the effects for a message
+ */
+export class GeminiEffectsProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Gemini API key (defaults to VITE_GEMINI_API_KEY)
+     * @param {string} options.model - Gemini model name
+     */
+    constructor(options = {}) {
+        // In Vite, use import.meta.env instead of process.env
+        // Add VITE_GEMINI_API_KEY to your .env file
+        this.apiKey = options.apiKey ?? import.meta.env.VITE_GEMINI_API_KEY;
+        this.model = options.model ?? 'gemini-flash-lite-latest';
+        this.name = 'gemini';
+    }
+
+    /**
+     * Generate effects for a message
+     * @param {string} message - The original message
+     * @param {Array<object>} history - Recent conversation history entries
+     * @returns {Promise<Object>} - Effects data with animation settings
+     * @throws {Error} - When the API call fails or returns invalid JSON
+     */
+    async generate(message, history = []) {
+        // Dynamically import GoogleGenAI
+        const { GoogleGenAI, Type } = await import('@google/genai');
+        
+        const ai = new GoogleGenAI({
+            apiKey: this.apiKey,
+        });
+        
+        const config = {
+            thinkingConfig: {
+                thinkingBudget: 0,
+            },
+            imageConfig: {
+                imageSize: '1K',
+            },
+            responseMimeType: 'application/json',
+            responseSchema: {
+                type: Type.OBJECT,
+                required: ["colors", "animationPath", "fontSize"],
+                properties: {
+                    fontSize: {
+                        type: Type.NUMBER,
+                        description: "Font size: 20-48 pixels only"
+                    },
+                    colors: {
+                        type: Type.OBJECT,
+                        required: ["text", "background", "border"],
+                        properties: {
+                            text: {
+                                type: Type.STRING,
+                                description: "Text color hex: #000000 or #ffffff only"
+                            },
+                            background: {
+                                type: Type.NUMBER,
+                                description: "Background hex number (0x000000-0xffffff)"
+                            },
+                            border: {
+                                type: Type.NUMBER,
+                                description: "Border hex number (0x000000-0xffffff)"
+                            }
+                        }
+                    },
+                    animationPath: {
+                        type: Type.ARRAY,
+                        description: "1-3 waypoints only",
+                        items: {
+                            type: Type.OBJECT,
+                            required: ["x", "y", "duration"],
+                            properties: {
+                                x: { type: Type.NUMBER, description: "X: 200-1720" },
+                                y: { type: Type.NUMBER, description: "Y: 200-880" },
+                                duration: { type: Type.NUMBER, description: "Duration: 800-2500ms" },
+                                rotation: { type: Type.NUMBER, description: "Rotation: 0-6.28 (optional)" }
+                            }
+                        }
+                    },
+                    particles: {
+                        type: Type.OBJECT,
+                        description: "Custom particle effect config (optional, omit for no particles)",
+                        properties: {
+                            colors: {
+                                type: Type.ARRAY,
+                                description: "2-4 hex colors for particles",
+                                items: { type: Type.NUMBER }
+                            },
+                            speed: { 
+                                type: Type.OBJECT,
+                                properties: {
+                                    min: { type: Type.NUMBER, description: "20-100" },
+                                    max: { type: Type.NUMBER, description: "40-150" }
+                                }
+                            },
+                            angle: {
+                                type: Type.OBJECT,
+                                properties: {
+                                    min: { type: Type.NUMBER, description: "0-360" },
+                                    max: { type: Type.NUMBER, description: "0-360" }
+                                }
+                            },
+                            scale: {
+                                type: Type.OBJECT,
+                                properties: {
+                                    start: { type: Type.NUMBER, description: "1-3" },
+                                    end: { type: Type.NUMBER, description: "0-1" }
+                                }
+                            },
+                            lifespan: { type: Type.NUMBER, description: "500-2000ms" },
+                            frequency: { type: Type.NUMBER, description: "20-100ms" },
+                            quantity: { type: Type.NUMBER, description: "1-5 particles" }
+                        }
+                    }
+                }
+            }
+        };
+
+        const model = this.model;
+        const prompt = this.buildPrompt(message, this.buildHistoryContext(history));
+
+        const contents = [
+            {
+                role: 'user',
+                parts: [
+                    {
+                        text: prompt,
+                    },
+                ],
+            },
+        ];
+
+        const response = await ai.models.generateContentStream({
+            model,
+            config,
+            contents,
+        });
+        
+        // Collect all chunks from the stream
+        let fullResponse = '';
+        for await (const chunk of response) {
+            fullResponse += chunk.text;
+        }
+        
+        // Parse the JSON response
+        return JSON.parse(fullResponse);
+    }
+
+    /**
+     * Build the battle history section of the prompt
+     * @param {Array<object>} history - Recent conversation history entries
+     * @returns {string} - Prompt text describing the battle so far
+     */
+    buildHistoryContext(history) {
+        let historyContext = '';
+        if (history.length > 0) {
+            const recentHistory = history.slice(-8);
+            historyContext = '\n\n=== RECENT BATTLE HISTORY (Last 8 messages) ===\n';
+            recentHistory.forEach((msg, index) => {
+                const posInfo = msg.position ? ` [Position: ${msg.position.zone} (${msg.position.x},${msg.position.y})]` : '';
+                const particleInfo = msg.hasParticles ? ' [HAS PARTICLES]' : ' [NO PARTICLES]';
+                const { element, action } = classifyMessage(msg.text);
+                const ruleInfo = ` [${action.toUpperCase()}${element ? `/${element.toUpperCase()}` : ''}]`;
+                historyContext += `[${index + 1}] ${msg.sender}: "${msg.text}"${ruleInfo}${posInfo}${particleInfo}\n`;
+            });
+            
+            // Analyze battle progression
+            const { lastAttackType, intensity } = analyzeBattle(recentHistory);
+            
+            // Analyze zone usage to help avoid overlaps
+            const zoneUsage = {};
+            const recentPositions = recentHistory.filter(msg => msg.position).slice(-5); // Last 5 positioned messages
+            recentPositions.forEach(msg => {
+                const zone = msg.position.zone;
+                zoneUsage[zone] = (zoneUsage[zone] || 0) + 1;
+            });
+            
+            // Find least used zones
+            const allZones = ['left-top', 'left-middle', 'left-bottom', 'center-top', 'center-middle', 'center-bottom', 'right-top', 'right-middle', 'right-bottom'];
+            const leastUsedZones = allZones.filter(z => !zoneUsage[z] || zoneUsage[z] < 2);
+            
+            historyContext += '\n=== BATTLE CONTEXT ANALYSIS ===\n';
+            historyContext += `- Battle Intensity: ${INTENSITY_LABELS[intensity]}\n`;
+            if (lastAttackType) {
+                historyContext += `- Last Element Used: ${lastAttackType.toUpperCase()} (counter-element: ${COUNTERS[lastAttackType].toUpperCase()})\n`;
+            }
+            historyContext += `- Message Count: ${recentHistory.length} (more messages = more escalation needed)\n`;
+            
+            if (recentPositions.length > 0) {
+                historyContext += `- Recent Positions Used: ${recentPositions.map(m => m.position.zone).join(', ')}\n`;
+                if (leastUsedZones.length > 0) {
+                    historyContext += `- SUGGESTED ZONES (less crowded): ${leastUsedZones.slice(0, 3).join(', ')}\n`;
+                }
+            }
+            
+            historyContext += '\n=== YOUR OBJECTIVES ===\n';
+            historyContext += '1. AVOID OVERLAPPING: Vary X/Y positions from recent messages (spread across screen)\n';
+            historyContext += '2. PROGRESSIVE ESCALATION: Each attack should be MORE intense than previous\n';
+            historyContext += `3. ELEMENTAL COUNTERS: ${this.describeCounters()}\n`;
+            historyContext += '4. POSITION VARIETY: Don\'t cluster all effects in same area\n';
+            historyContext += '5. NARRATIVE FLOW: Make this message a logical next step in the battle story\n';
+            historyContext += '6. TIMING VARIETY: Alternate between fast strikes (800-1200ms) and dramatic moves (1800-2500ms)\n';
+        }
+        
+        return historyContext;
+    }
+
+    /**
+     * Describe the rules engine's counter pairs, e.g. "Fire↔Ice, Electric↔Earth"
+     * @returns {string}
+     */
+    describeCounters() {
+        const capitalize = name => name[0].toUpperCase() + name.slice(1);
+        const pairs = Object.entries(COUNTERS).filter(([element, counter]) => element < counter);
+        return pairs.map(([element, counter]) => `${capitalize(element)}↔${capitalize(counter)}`).join(', ');
+    }
+
+    /**
+     * Build the full effects prompt
+     * @param {string} message - The original message
+     * @param {string} historyContext - Output of buildHistoryContext()
+     * @returns {string}
+     */
+    buildPrompt(message, historyContext) {
+        const { element, action } = classifyMessage(message);
+        // Effects are generated by the caster, who always sees themselves as the left wizard
+        const caster = WIZARD_POSITIONS.left;
+        const opponent = WIZARD_POSITIONS.right;
+        return `You are a creative game effects designer. Generate visual effects for text box animations.
+
+STRICT RULES (VIOLATIONS WILL FAIL):
+1. Text color: ONLY #000000 (black) or #ffffff (white)
+2. Text color selection:
+   - Dark backgrounds (0x000000-0x888888): Use #ffffff
+   - Light backgrounds (0x999999-0xffffff): Use #000000
+3. Font size: 20-48 only
+4. Animation path: 1-3 waypoints MAXIMUM
+5. X position: 200-1720, Y position: 200-880
+6. Duration: 800-2500ms per waypoint
+7. Particles are OPTIONAL - omit entire "particles" object for simple messages
+
+PARTICLE RULES (when included):
+- Colors: 2-4 hex numbers (e.g., [0xff0000, 0xff6600, 0xffaa00])
+- Speed: min 20-100, max 40-150
+- Angle: 0-360 degrees
+- Scale: start 1-3, end 0-1
+- Lifespan: 500-2000ms
+- Frequency: 20-100ms
+- Quantity: 1-5 particles per emission
+
+THEME GUIDELINES:
+- Fire: Red/orange particles (0xcc0000, 0xff4500, 0xff9900), upward angle 250-290
+- Ice: Blue/white particles (0x0099ff, 0x66ccff, 0xffffff), downward or outward
+- Poison: Green/yellow particles (0x00cc00, 0x66ff00, 0xffff00), bubbling effect
+- Energy: Bright particles (0xffff00, 0x00ffff, 0xff00ff), fast speed
+- Simple messages: NO particles
+
+EXAMPLES:
+
+Message: "fireball"
+Response: {"fontSize":38,"colors":{"text":"#ffffff","background":0xcc0000,"border":0x990000},"animationPath":[{"x":400,"y":400,"duration":1000},{"x":1500,"y":400,"duration":1200,"rotation":3.14}],"particles":{"colors":[0xff0000,0xff6600,0xffaa00],"speed":{"min":60,"max":120},"angle":{"min":250,"max":290},"scale":{"start":2.5,"end":0.5},"lifespan":1200,"frequency":30,"quantity":3}}
+
+Message: "ice shard"
+Response: {"fontSize":32,"colors":{"text":"#ffffff","background":0x0066cc,"border":0x004499},"animationPath":[{"x":960,"y":300,"duration":1500},{"x":960,"y":700,"duration":2000}],"particles":{"colors":[0x00ccff,0x66ffff,0xffffff],"speed":{"min":30,"max":60},"angle":{"min":80,"max":100},"scale":{"start":2,"end":0},"lifespan":1500,"frequency":40,"quantity":2}}
+
+Message: "hello there"
+Response: {"fontSize":28,"colors":{"text":"#000000","background":0xffffff,"border":0xe5e7eb},"animationPath":[{"x":600,"y":400,"duration":2000},{"x":1300,"y":400,"duration":2000}]}
+
+Message: "BOOM!"
+Response: {"fontSize":46,"colors":{"text":"#ffffff","background":0xff4500,"border":0xcc3300},"animationPath":[{"x":960,"y":540,"duration":800,"rotation":6.28}],"particles":{"colors":[0xff0000,0xff6600,0xff9900,0xffcc00],"speed":{"min":80,"max":150},"angle":{"min":0,"max":360},"scale":{"start":3,"end":0},"lifespan":800,"frequency":20,"quantity":5}}
+
+Message: "whisper"
+Response: {"fontSize":22,"colors":{"text":"#000000","background":0xcccccc,"border":0x999999},"animationPath":[{"x":800,"y":450,"duration":2500}]}
+
+Message: "poison cloud"
+Response: {"fontSize":30,"colors":{"text":"#ffffff","background":0x009900,"border":0x006600},"animationPath":[{"x":700,"y":400,"duration":1800},{"x":1200,"y":500,"duration":2000}],"particles":{"colors":[0x00cc00,0x66ff00,0x99ff33],"speed":{"min":25,"max":50},"angle":{"min":260,"max":280},"scale":{"start":2,"end":3},"lifespan":1800,"frequency":50,"quantity":2}}
+
+CRITICAL: AVOID OVERLAPPING EFFECTS
+- Spread effects across screen (vary X positions: left=200-600, center=700-1200, right=1300-1720)
+- Alternate Y positions (top=200-400, middle=400-700, bottom=700-880)
+- If recent messages used left side, move to center or right
+- Don't use same position consecutively
+
+BATTLE STORY COHERENCE:
+1. ESCALATION CURVE:
+   - Messages 1-2: Small effects (fontSize 20-28, minimal particles)
+   - Messages 3-5: Medium effects (fontSize 30-38, moderate particles)
+   - Messages 6+: Large effects (fontSize 40-48, intense particles)
+
+2. ELEMENTAL COUNTER-PLAY:
+   - Fire (red/orange) → Counter with Ice (blue/white)
+   - Ice (blue) → Counter with Fire (red/orange)  
+   - Poison (green) → Counter with Holy/Light (yellow/white)
+   - Lightning (yellow/cyan) → Counter with Earth (brown/green)
+   - Use opposite colors and themes
+
+3. POSITION STORYTELLING:
+   - Aggressive attacks: Move toward opponent (the caster stands on the left at x=${caster.x}, the opponent on the right at x=${opponent.x}, so x increases)
+   - Defensive moves: Stay in place or retreat (single waypoint)
+   - Dodges: Quick diagonal movement (2 waypoints, short duration)
+   - Ultimate attacks: Center screen (x=960, y=540)
+
+4. TIMING VARIATION:
+   - Quick attacks: 800-1200ms duration
+   - Normal moves: 1200-1800ms duration  
+   - Power moves: 1800-2500ms duration
+   - Alternate fast/slow to create rhythm
+
+5. PARTICLE INTENSITY MATCHING:
+   - Early game: quantity 1-2, frequency 50-100ms
+   - Mid game: quantity 2-3, frequency 30-50ms
+   - Late game: quantity 3-5, frequency 20-30ms
+${historyContext}
+
+Now analyze this message and generate appropriate effects:
+Message: "${message}"
+Game rules classify it as: action ${action.toUpperCase()}, element ${element ? element.toUpperCase() : 'NONE'} (match the theme and movement to this)
+
+Return ONLY valid JSON matching the schema.`;
+    }
+}
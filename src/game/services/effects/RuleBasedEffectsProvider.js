@@ -0,0 +1,148 @@
+import { analyzeBattle } from '../../utils/battleAnalysis.js';
+import { classifyMessage } from '../../systems/RulesEngine.js';
+
+// Palettes follow the theme guidelines given to Gemini so both providers look alike
+const THEMES = {
+    fire: {
+        colors: { text: '#ffffff', background: 0xcc0000, border: 0x990000 },
+        particles: { colors: [0xff0000, 0xff6600, 0xffaa00], angle: { min: 250, max: 290 }, speed: { min: 60, max: 120 }, scale: { start: 2.5, end: 0.5 } }
+    },
+    ice: {
+        colors: { text: '#ffffff', background: 0x0066cc, border: 0x004499 },
+        particles: { colors: [0x00ccff, 0x66ffff, 0xffffff], angle: { min: 80, max: 100 }, speed: { min: 30, max: 60 }, scale: { start: 2, end: 0 } }
+    },
+    poison: {
+        colors: { text: '#ffffff', background: 0x009900, border: 0x006600 },
+        particles: { colors: [0x00cc00, 0x66ff00, 0x99ff33], angle: { min: 260, max: 280 }, speed: { min: 25, max: 50 }, scale: { start: 2, end: 3 } }
+    },
+    electric: {
+        colors: { text: '#000000', background: 0xffee00, border: 0xccaa00 },
+        particles: { colors: [0xffff00, 0x00ffff, 0xff00ff], angle: { min: 0, max: 360 }, speed: { min: 80, max: 150 }, scale: { start: 1.5, end: 0 } }
+    },
+    earth: {
+        colors: { text: '#ffffff', background: 0x78350f, border: 0x451a03 },
+        particles: { colors: [0x92400e, 0x65a30d, 0xa8a29e], angle: { min: 60, max: 120 }, speed: { min: 40, max: 80 }, scale: { start: 2.5, end: 1 } }
+    },
+    holy: {
+        colors: { text: '#000000', background: 0xfef9c3, border: 0xeab308 },
+        particles: { colors: [0xffffff, 0xfde047, 0xfef08a], angle: { min: 250, max: 290 }, speed: { min: 30, max: 70 }, scale: { start: 2, end: 0 } }
+    },
+    energy: {
+        colors: { text: '#ffffff', background: 0x6b21a8, border: 0x4c1d95 },
+        particles: { colors: [0xffff00, 0x00ffff, 0xff00ff], angle: { min: 0, max: 360 }, speed: { min: 60, max: 120 }, scale: { start: 2, end: 0 } }
+    },
+    defense: {
+        colors: { text: '#000000', background: 0xdbeafe, border: 0x3b82f6 },
+        particles: null
+    },
+    plain: {
+        colors: { text: '#000000', background: 0xffffff, border: 0xe5e7eb },
+        particles: null
+    }
+};
+
+// Font size range, particle quantity/frequency/lifespan and move duration per battle intensity
+const INTENSITY = {
+    LOW: { fontSize: [22, 28], quantity: 2, frequency: 60, lifespan: 1500, duration: 2000 },
+    MEDIUM: { fontSize: [30, 38], quantity: 3, frequency: 40, lifespan: 1200, duration: 1500 },
+    HIGH: { fontSize: [40, 48], quantity: 5, frequency: 25, lifespan: 900, duration: 1000 }
+};
+
+/**
+ * Deterministic, offline effects provider.
+ * The same message in the same battle context always yields the same effects.
+ */
+export class RuleBasedEffectsProvider {
+    constructor() {
+        this.name = 'local';
+    }
+
+    /**
+     * Generate effects for a message
+     * @param {string} message - The original message
+     * @param {Array<object>} history - Recent conversation history entries
+     * @returns {Promise<Object>} - Effects data in the same shape the Gemini provider returns
+     */
+    async generate(message, history = []) {
+        const { intensity } = analyzeBattle(history.slice(-8));
+        const level = INTENSITY[intensity];
+        const random = this.createRandom(`${message}|${history.length}`);
+        const { element, action } = classifyMessage(message);
+        const defensive = action === 'defend';
+        const dodge = action === 'dodge';
+        const attacking = action === 'attack';
+        const ultimate = action === 'ultimate';
+        const shouting = message.endsWith('!') || (message.length > 3 && message === message.toUpperCase());
+
+        let theme = THEMES.plain;
+        if (element) theme = THEMES[element];
+        else if (defensive || dodge) theme = THEMES.defense;
+        else if (attacking || ultimate) theme = THEMES.energy;
+
+        const [minSize, maxSize] = level.fontSize;
+        let fontSize = minSize + Math.floor(random() * (maxSize - minSize + 1));
+        if (shouting || ultimate) fontSize = Math.min(48, fontSize + 6);
+
+        const effects = {
+            fontSize,
+            colors: { ...theme.colors },
+            animationPath: this.buildPath({ random, level, defensive, ultimate, dodge })
+        };
+
+        if (theme.particles && (attacking || ultimate)) {
+            effects.particles = {
+                ...theme.particles,
+                lifespan: level.lifespan,
+                frequency: level.frequency,
+                quantity: ultimate ? 5 : level.quantity
+            };
+        }
+
+        return effects;
+    }
+
+    buildPath({ random, level, defensive, ultimate, dodge }) {
+        const x = () => 200 + Math.round(random() * 1520);
+        const y = () => 200 + Math.round(random() * 680);
+
+        if (ultimate) {
+            // Ultimate attacks: centre screen with a full spin
+            return [{ x: 960, y: 540, duration: 800, rotation: 6.28 }];
+        }
+        if (defensive) {
+            // Defensive moves stay in place
+            return [{ x: x(), y: y(), duration: 2000 }];
+        }
+        if (dodge) {
+            // Dodges: quick diagonal movement
+            const startX = x();
+            const startY = y();
+            return [
+                { x: startX, y: startY, duration: 800 },
+                { x: Math.min(1720, Math.max(200, startX + 300)), y: Math.min(880, Math.max(200, startY - 200)), duration: 900 }
+            ];
+        }
+        return [
+            { x: x(), y: y(), duration: level.duration },
+            { x: x(), y: y(), duration: level.duration }
+        ];
+    }
+
+    /**
+     * Seeded PRNG (mulberry32) so both runs of the same input agree
+     * @param {string} seedText - Text to hash into the seed
+     * @returns {Function} - Returns a float in [0, 1) on each call
+     */
+    createRandom(seedText) {
+        let seed = 0;
+        for (let i = 0; i < seedText.length; i++) {
+            seed = (Math.imul(31, seed) + seedText.charCodeAt(i)) | 0;
+        }
+        return () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
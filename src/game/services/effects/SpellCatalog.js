@@ -0,0 +1,157 @@
+import { validateEffects } from '../../utils/EffectsValidator.js';
+
+// Every pack in src/game/spells is bundled; drop a JSON file there to add spells
+const BUNDLED_PACKS = import.meta.glob('../../spells/*.json', { eager: true, import: 'default' });
+
+export const INTENSITY_LEVELS = ['low', 'medium', 'high'];
+
+// Applied when a spell doesn't define its own overrides for a level
+const DEFAULT_INTENSITY = {
+    low: { fontSize: -6, quantity: -1 },
+    medium: { fontSize: 0, quantity: 0 },
+    high: { fontSize: 8, quantity: 2 }
+};
+
+const CAST_COMMAND = /^\/cast\s+/i;
+
+/**
+ * Normalize a spell name or typed message for lookup: lowercase words without punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+    return text.toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Merge effect overrides into a base payload; nested objects merge, arrays are replaced
+ */
+function mergeEffects(base, overrides = {}) {
+    const result = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])
+            ? mergeEffects(result[key], value)
+            : value;
+    });
+    return result;
+}
+
+/**
+ * Named, hand-authored effect presets.
+ * A spell pack is a JSON file {pack, spells: [{id, name, aliases?, text, effects, variants?, intensity?}]}
+ * where effects has the shape TextBoxCreator consumes (colours may be "#rrggbb" strings), variants and
+ * intensity levels hold overrides merged on top of it (plus an optional replacement text).
+ * Typing a spell's name (optionally with a variant and/or low/medium/high), or /cast followed by the
+ * same, casts the preset instead of generating effects.
+ */
+export class SpellCatalog {
+    /**
+     * @param {Array<object>} packs - Spell packs (defaults to the bundled ones)
+     */
+    constructor(packs = Object.values(BUNDLED_PACKS)) {
+        this.spells = new Map(); // Normalized name or alias -> spell
+        packs.forEach(pack => this.registerPack(pack));
+    }
+
+    /**
+     * Add a spell pack; later packs override spells with the same name
+     * @param {object} pack - Parsed spell pack JSON
+     */
+    registerPack(pack) {
+        if (!pack || !Array.isArray(pack.spells)) {
+            console.warn('Ignoring invalid spell pack:', pack?.pack);
+            return;
+        }
+
+        pack.spells.forEach(spell => {
+            if (!spell?.id || !spell.name || !spell.effects) {
+                console.warn(`Ignoring invalid spell in pack ${pack.pack}:`, spell);
+                return;
+            }
+            [spell.id, spell.name, ...(spell.aliases || [])].forEach(name => {
+                this.spells.set(normalize(name), { variants: {}, intensity: {}, ...spell, pack: pack.pack });
+            });
+        });
+    }
+
+    /**
+     * List every spell once
+     * @returns {Array<object>}
+     */
+    list() {
+        return [...new Map([...this.spells.values()].map(spell => [spell.id, spell])).values()];
+    }
+
+    /**
+     * Find a spell by name, ID or alias
+     * @param {string} name
+     * @returns {object|null}
+     */
+    get(name) {
+        return this.spells.get(normalize(name)) ?? null;
+    }
+
+    /**
+     * Work out whether a message casts a spell
+     * @param {string} message - What the player typed
+     * @returns {{spell: object, variant: string|null, intensity: string, text: string, effects: object}|{error: string, message: string}|null} -
+     *   The cast, an UNKNOWN_SPELL error for /cast with an unknown name, or null for ordinary messages
+     */
+    resolve(message) {
+        const isCommand = CAST_COMMAND.test(message);
+        const words = normalize(message.replace(CAST_COMMAND, '')).split(' ').filter(Boolean);
+
+        const intensity = words.find(word => INTENSITY_LEVELS.includes(word)) ?? 'medium';
+        const rest = words.filter(word => !INTENSITY_LEVELS.includes(word));
+
+        // Try the longest spell name first, with any leftover word as the variant
+        for (let length = rest.length; length > 0; length--) {
+            for (let start = 0; start + length <= rest.length; start++) {
+                const spell = this.get(rest.slice(start, start + length).join(' '));
+                if (!spell) continue;
+
+                const leftover = [...rest.slice(0, start), ...rest.slice(start + length)];
+                const variant = leftover.length === 1 && spell.variants[leftover[0]] ? leftover[0] : null;
+                if (leftover.length === 0 || variant) {
+                    return this.cast(spell, variant, intensity);
+                }
+            }
+        }
+
+        if (isCommand) {
+            const names = this.list().map(spell => spell.name).join(', ');
+            return { error: 'UNKNOWN_SPELL', message: `Unknown spell. Try: ${names}` };
+        }
+        return null;
+    }
+
+    /**
+     * Build the effects for a spell
+     * @param {object} spell
+     * @param {string|null} variant - Variant name, or null for the base spell
+     * @param {string} intensity - 'low', 'medium' or 'high'
+     * @returns {{spell: object, variant: string|null, intensity: string, text: string, effects: object}}
+     */
+    cast(spell, variant = null, intensity = 'medium') {
+        const { text: variantText, ...variantOverrides } = spell.variants[variant] || {};
+        const { text: intensityText, ...intensityOverrides } = spell.intensity[intensity] || {};
+
+        let effects = mergeEffects(mergeEffects(spell.effects, variantOverrides), intensityOverrides);
+        if (!spell.intensity[intensity]) {
+            const scale = DEFAULT_INTENSITY[intensity];
+            effects = { ...effects, fontSize: (effects.fontSize || 28) + scale.fontSize };
+            if (effects.particles) {
+                effects.particles = { ...effects.particles, quantity: Math.max(1, (effects.particles.quantity || 3) + scale.quantity) };
+            }
+        }
+
+        return {
+            spell,
+            variant,
+            intensity,
+            text: variantText || intensityText || spell.text || spell.name,
+            effects: validateEffects(effects).effects
+        };
+    }
+}
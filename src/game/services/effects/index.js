@@ -0,0 +1,51 @@
+import { GeminiEffectsProvider } from './GeminiEffectsProvider.js';
+import { RuleBasedEffectsProvider } from './RuleBasedEffectsProvider.js';
+import { SpellCatalog } from './SpellCatalog.js';
+import { CachedEffectsProvider } from './CachedEffectsProvider.js';
+
+export { GeminiEffectsProvider, RuleBasedEffectsProvider, SpellCatalog, CachedEffectsProvider };
+
+const STORAGE_KEY = 'thelastword:effects';
+
+/**
+ * Name of the effects provider for this session.
+ * ?effects=gemini|local picks one and remembers it for the rest of the session;
+ * otherwise VITE_EFFECTS_PROVIDER, otherwise Gemini when an API key is configured.
+ * @returns {string} - 'gemini' or 'local'
+ */
+export function getEffectsProviderName() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const fromUrl = urlParams.get('effects');
+    if (fromUrl) {
+        sessionStorage.setItem(STORAGE_KEY, fromUrl);
+        return fromUrl;
+    }
+
+    const env = import.meta.env;
+    return sessionStorage.getItem(STORAGE_KEY)
+        || env.VITE_EFFECTS_PROVIDER
+        || (env.VITE_GEMINI_API_KEY ? 'gemini' : 'local');
+}
+
+/**
+ * Remember an effects provider choice for the rest of the session
+ * @param {string} name - 'gemini' or 'local'
+ */
+export function setEffectsProviderName(name) {
+    sessionStorage.setItem(STORAGE_KEY, name);
+}
+
+/**
+ * Create an effects provider.
+ * Every provider implements generate(message, history, options?) and resolves to effects data
+ * ({fontSize, colors, animationPath, particles?}); Gemini may reject, the local provider never does.
+ * Gemini responses are cached; pass {forceRegenerate: true} as options to skip the cache.
+ * @param {string} name - 'gemini' or 'local'
+ * @returns {CachedEffectsProvider|RuleBasedEffectsProvider}
+ */
+export function createEffectsProvider(name = getEffectsProviderName()) {
+    if (name === 'local') {
+        return new RuleBasedEffectsProvider();
+    }
+    return new CachedEffectsProvider(new GeminiEffectsProvider());
+}
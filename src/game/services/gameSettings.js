@@ -0,0 +1,93 @@
+/**
+ * Display settings persisted in localStorage.
+ * They only change how effects are rendered on this screen (never what is sent
+ * or how the battle plays out), so each player can tune them freely.
+ */
+
+const STORAGE_KEY = 'thelastword:settings';
+
+// Scale applied to particle quantity, and to the time between emissions (higher is sparser)
+export const PARTICLE_QUALITY = {
+    high: { quantity: 1, frequency: 1 },
+    medium: { quantity: 0.6, frequency: 1.5 },
+    low: { quantity: 0.3, frequency: 2.5 },
+    off: null
+};
+
+export const MAX_TEXT_BOXES_LIMITS = { min: 5, max: 40 };
+export const TEXT_SCALE_LIMITS = { min: 0.75, max: 1.5 };
+
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+const prefersMoreContrast = () => window.matchMedia?.('(prefers-contrast: more)').matches ?? false;
+
+export const DEFAULT_GAME_SETTINGS = {
+    reducedMotion: false,
+    highContrast: false,
+    particleQuality: 'high',
+    maxTextBoxes: 20,
+    textScale: 1
+};
+
+const listeners = new Set();
+let current = null;
+
+const clamp = (value, { min, max }, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+
+/**
+ * Fill in defaults and clamp every setting to its allowed values
+ * @param {object|null} raw - Settings as stored or submitted
+ * @returns {{reducedMotion: boolean, highContrast: boolean, particleQuality: string, maxTextBoxes: number, textScale: number}}
+ */
+export function normalizeGameSettings(raw) {
+    return {
+        reducedMotion: typeof raw?.reducedMotion === 'boolean' ? raw.reducedMotion : prefersReducedMotion(),
+        highContrast: typeof raw?.highContrast === 'boolean' ? raw.highContrast : prefersMoreContrast(),
+        particleQuality: Object.hasOwn(PARTICLE_QUALITY, raw?.particleQuality) ? raw.particleQuality : DEFAULT_GAME_SETTINGS.particleQuality,
+        maxTextBoxes: Math.round(clamp(raw?.maxTextBoxes, MAX_TEXT_BOXES_LIMITS, DEFAULT_GAME_SETTINGS.maxTextBoxes)),
+        textScale: clamp(raw?.textScale, TEXT_SCALE_LIMITS, DEFAULT_GAME_SETTINGS.textScale)
+    };
+}
+
+/**
+ * Get the current settings, loading them on first use.
+ * Players who haven't chosen get reduced motion and high contrast from their system preferences.
+ * @returns {{reducedMotion: boolean, highContrast: boolean, particleQuality: string, maxTextBoxes: number, textScale: number}}
+ */
+export function getGameSettings() {
+    if (!current) {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        current = normalizeGameSettings(saved);
+    }
+    return current;
+}
+
+/**
+ * Change some settings, store them and notify listeners
+ * @param {object} changes - Settings to change
+ * @returns {object} - The new settings
+ */
+export function updateGameSettings(changes) {
+    current = normalizeGameSettings({ ...getGameSettings(), ...changes });
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+    } catch (e) {
+        console.warn('Could not save settings:', e);
+    }
+    listeners.forEach(listener => listener(current));
+    return current;
+}
+
+/**
+ * Get notified when the settings change
+ * @param {Function} listener - Receives the new settings
+ * @returns {Function} - Unsubscribe
+ */
+export function onGameSettingsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
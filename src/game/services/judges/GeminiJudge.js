@@ -0,0 +1,125 @@
+import { classifyMessage } from '../../systems/RulesEngine.js';
+import { MAX_CRITERION_SCORE } from '../../systems/rounds.js';
+
+/**
+ * Round judge that asks Gemini to score each word
+ */
+export class GeminiJudge {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Gemini API key (defaults to VITE_GEMINI_API_KEY)
+     * @param {string} options.model - Gemini model name
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey ?? import.meta.env.VITE_GEMINI_API_KEY;
+        this.model = options.model ?? 'gemini-flash-lite-latest';
+        this.name = 'gemini';
+    }
+
+    /**
+     * Score the words of a round
+     * @param {object} exchange
+     * @param {number} exchange.round - Round number
+     * @param {Array<{playerId: string, name: string, text: string}>} exchange.words - The round's words, in order
+     * @param {Array<{playerId: string, name: string, text: string}>} exchange.history - Earlier words in the match, in order
+     * @returns {Promise<Object>} - Scores by player ID, {creativity, escalation, counterPlay}
+     * @throws {Error} - When the API call fails, returns invalid JSON or leaves a player unscored
+     */
+    async score(exchange) {
+        const { GoogleGenAI, Type } = await import('@google/genai');
+
+        const ai = new GoogleGenAI({
+            apiKey: this.apiKey,
+        });
+
+        const criterion = description => ({ type: Type.INTEGER, description: `${description}: 0-${MAX_CRITERION_SCORE}` });
+        const config = {
+            thinkingConfig: {
+                thinkingBudget: 0,
+            },
+            responseMimeType: 'application/json',
+            responseSchema: {
+                type: Type.OBJECT,
+                required: ['scores'],
+                properties: {
+                    scores: {
+                        type: Type.ARRAY,
+                        description: 'One entry per player who spoke in the round',
+                        items: {
+                            type: Type.OBJECT,
+                            required: ['playerId', 'creativity', 'escalation', 'counterPlay'],
+                            properties: {
+                                playerId: { type: Type.STRING, description: 'Player ID exactly as given' },
+                                creativity: criterion('Originality and vividness of the word'),
+                                escalation: criterion('How much it raises the stakes over what came before'),
+                                counterPlay: criterion('How well it answers the opponent\'s word')
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        const response = await ai.models.generateContentStream({
+            model: this.model,
+            config,
+            contents: [
+                {
+                    role: 'user',
+                    parts: [
+                        {
+                            text: this.buildPrompt(exchange),
+                        },
+                    ],
+                },
+            ],
+        });
+
+        let fullResponse = '';
+        for await (const chunk of response) {
+            fullResponse += chunk.text;
+        }
+
+        const scores = {};
+        JSON.parse(fullResponse).scores.forEach(({ playerId, ...entry }) => {
+            scores[playerId] = entry;
+        });
+        exchange.words.forEach(({ playerId }) => {
+            if (!scores[playerId]) {
+                throw new Error(`Gemini didn't score player ${playerId}`);
+            }
+        });
+        return scores;
+    }
+
+    /**
+     * Build the judging prompt
+     * @param {object} exchange - See score()
+     * @returns {string}
+     */
+    buildPrompt({ round, words, history }) {
+        const describe = word => {
+            const { element, action } = classifyMessage(word.text);
+            return `${word.name} (playerId ${word.playerId}) [${action.toUpperCase()}${element ? `/${element.toUpperCase()}` : ''}]: "${word.text}"`;
+        };
+        const earlier = history.slice(-8).map(describe).join('\n') || '(this is the opening round)';
+        const exchange = words.map(describe).join('\n');
+
+        return `You are the judge of "The Last Word", a duel where two wizards fight with words.
+Score each player's word in this round from 0 to ${MAX_CRITERION_SCORE} on:
+- creativity: originality, imagery and wit; repeating earlier words scores low
+- escalation: how much it raises the stakes over the battle so far
+- counterPlay: how well it answers the opponent's last word (elemental counters, turning their words against them, a well-timed guard)
+
+If one player spoke twice in this round, their opponent let the word go unanswered: score that player on their later word.
+Be consistent and fair; the scores decide who wins the match.
+
+=== EARLIER IN THE BATTLE ===
+${earlier}
+
+=== ROUND ${round} ===
+${exchange}
+
+Return ONLY valid JSON matching the schema, with one entry per player who spoke in round ${round}.`;
+    }
+}
@@ -0,0 +1,130 @@
+import { COUNTERS, classifyMessage } from '../../systems/RulesEngine.js';
+import { MAX_CRITERION_SCORE } from '../../systems/rounds.js';
+
+// How forceful each action is, for escalation
+const ACTION_POWER = {
+    ultimate: 6,
+    attack: 4,
+    taunt: 2,
+    defend: 2,
+    dodge: 2
+};
+
+// Power of an opening word, when there is nothing to escalate from
+const NEUTRAL_POWER = 4;
+
+const clampScore = value => Math.min(MAX_CRITERION_SCORE, Math.max(0, Math.round(value)));
+const tokenize = text => text.toLowerCase().match(/[a-z']+/g) ?? [];
+
+/**
+ * How hard a word hits: its action, whether it has an element, and how loudly it's said
+ * @param {string} text
+ * @returns {number}
+ */
+function getPower(text) {
+    const { element, action } = classifyMessage(text);
+    const exclamations = (text.match(/!/g) ?? []).length;
+    const shouted = (text.match(/\b[A-Z]{3,}\b/g) ?? []).length;
+    return ACTION_POWER[action] + (element ? 1 : 0) + Math.min(3, exclamations + shouted);
+}
+
+/**
+ * Varied, vivid vocabulary that the player hasn't used before
+ * @param {string} text
+ * @param {Array<string>} ownEarlier - The player's earlier words in the match
+ * @returns {number}
+ */
+function scoreCreativity(text, ownEarlier) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return 0;
+    if (ownEarlier.some(earlier => earlier.trim().toLowerCase() === text.trim().toLowerCase())) return 1;
+
+    const used = new Set(ownEarlier.flatMap(tokenize));
+    const distinct = new Set(tokens);
+    const vivid = [...distinct].filter(token => token.length >= 7).length;
+    const fresh = [...distinct].filter(token => !used.has(token)).length / distinct.size;
+    return clampScore(Math.min(5, distinct.size) + Math.min(3, vivid) + 2 * fresh);
+}
+
+/**
+ * Raising the stakes over the player's own last word (or the word being answered)
+ * @param {string} text
+ * @param {string|null} reference - Word to escalate from
+ * @returns {number}
+ */
+function scoreEscalation(text, reference) {
+    const referencePower = reference ? getPower(reference) : NEUTRAL_POWER;
+    return clampScore(5 + 2 * (getPower(text) - referencePower));
+}
+
+/**
+ * Answering the opponent's word: its counter-element, a guard against an attack,
+ * or turning their own words against them
+ * @param {string} text
+ * @param {string|null} answered - Opponent's word this one answers
+ * @returns {number}
+ */
+function scoreCounterPlay(text, answered) {
+    if (!answered) return 5;
+
+    const mine = classifyMessage(text);
+    const theirs = classifyMessage(answered);
+    let score = 4;
+    if (theirs.element && mine.element === COUNTERS[theirs.element]) {
+        score = 10;
+    } else if (['attack', 'ultimate'].includes(theirs.action) && ['defend', 'dodge'].includes(mine.action)) {
+        score = 7;
+    } else if (theirs.element && mine.element === theirs.element) {
+        score = 2;
+    }
+
+    const theirTokens = new Set(tokenize(answered).filter(token => token.length >= 4));
+    if (tokenize(text).some(token => theirTokens.has(token))) {
+        score += 2;
+    }
+    return clampScore(score);
+}
+
+/**
+ * Score the words of a round. Deterministic: every client gets the same scores
+ * for the same exchange, so it can also stand in for a missing or invalid verdict.
+ * A player who spoke twice in the round (their word went unanswered) is scored on the later word.
+ * @param {object} exchange
+ * @param {Array<{playerId: string, name: string, text: string}>} exchange.words - The round's words, in order
+ * @param {Array<{playerId: string, name: string, text: string}>} exchange.history - Earlier words in the match, in order
+ * @returns {Object<string, {creativity: number, escalation: number, counterPlay: number}>} - Scores by player ID
+ */
+export function scoreExchange({ words, history }) {
+    const scores = {};
+    words.forEach((word, index) => {
+        const before = [...history, ...words.slice(0, index)];
+        const own = before.filter(earlier => earlier.playerId === word.playerId).map(earlier => earlier.text);
+        const previous = before[before.length - 1];
+        const answered = previous && previous.playerId !== word.playerId ? previous.text : null;
+
+        scores[word.playerId] = {
+            creativity: scoreCreativity(word.text, own),
+            escalation: scoreEscalation(word.text, own[own.length - 1] ?? answered),
+            counterPlay: scoreCounterPlay(word.text, answered)
+        };
+    });
+    return scores;
+}
+
+/**
+ * Deterministic, offline round judge
+ */
+export class LocalJudge {
+    constructor() {
+        this.name = 'local';
+    }
+
+    /**
+     * Score the words of a round
+     * @param {object} exchange - {round, words, history} (see scoreExchange)
+     * @returns {Promise<Object>} - Scores by player ID
+     */
+    async score(exchange) {
+        return scoreExchange(exchange);
+    }
+}
@@ -0,0 +1,41 @@
+import { GeminiJudge } from './GeminiJudge.js';
+import { LocalJudge, scoreExchange } from './LocalJudge.js';
+
+export { GeminiJudge, LocalJudge, scoreExchange };
+
+const STORAGE_KEY = 'thelastword:judge';
+
+/**
+ * Name of the round judge for this session.
+ * ?judge=gemini|local picks one and remembers it for the rest of the session;
+ * otherwise VITE_JUDGE, otherwise Gemini when an API key is configured.
+ * @returns {string} - 'gemini' or 'local'
+ */
+export function getJudgeName() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const fromUrl = urlParams.get('judge');
+    if (fromUrl) {
+        sessionStorage.setItem(STORAGE_KEY, fromUrl);
+        return fromUrl;
+    }
+
+    const env = import.meta.env;
+    return sessionStorage.getItem(STORAGE_KEY)
+        || env.VITE_JUDGE
+        || (env.VITE_GEMINI_API_KEY ? 'gemini' : 'local');
+}
+
+/**
+ * Create a round judge.
+ * Every judge implements score(exchange) for an exchange {round, words, history}
+ * and resolves to scores by player ID ({creativity, escalation, counterPlay});
+ * Gemini may reject, the local judge never does.
+ * @param {string} name - 'gemini' or 'local'
+ * @returns {GeminiJudge|LocalJudge}
+ */
+export function createJudge(name = getJudgeName()) {
+    if (name === 'local') {
+        return new LocalJudge();
+    }
+    return new GeminiJudge();
+}
@@ -0,0 +1,47 @@
+/**
+ * Player identity persisted in localStorage.
+ * ?profile=<name> keeps a separate identity, so two tabs of one browser can play each other.
+ */
+
+const getStorageKey = () => {
+    const profile = new URLSearchParams(window.location.search).get('profile');
+    return profile ? `thelastword:player:${profile}` : 'thelastword:player';
+};
+
+const createPlayerId = () => {
+    const random = window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+    return `player_${random}`;
+};
+
+/**
+ * Load this browser's player identity, generating one on first use
+ * @returns {{id: string, name: string}} - name is empty until the player picks one
+ */
+export function loadPlayerIdentity() {
+    const key = getStorageKey();
+    let identity = null;
+    try {
+        identity = JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        identity = null;
+    }
+
+    if (!identity?.id) {
+        identity = { id: createPlayerId(), name: '' };
+        localStorage.setItem(key, JSON.stringify(identity));
+    }
+    return identity;
+}
+
+/**
+ * Store the player's display name
+ * @param {string} name - Display name chosen in the lobby
+ * @returns {{id: string, name: string}} - The updated identity
+ */
+export function savePlayerName(name) {
+    const identity = { ...loadPlayerIdentity(), name: name.trim() };
+    localStorage.setItem(getStorageKey(), JSON.stringify(identity));
+    return identity;
+}
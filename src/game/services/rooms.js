@@ -0,0 +1,97 @@
+/**
+ * Room codes and the conversations behind them
+ */
+
+// No 0/O or 1/I so codes survive being read out loud
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+/**
+ * Generate a new random room code
+ * @returns {string} - e.g. "K7QF2M"
+ */
+export function generateRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Normalise a code typed by a player
+ * @param {string} code - Raw input
+ * @returns {string|null} - Upper-case code, or null if it can't be a room code
+ */
+export function normalizeRoomCode(code) {
+    const normalized = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (normalized.length !== ROOM_CODE_LENGTH) return null;
+    if ([...normalized].some(char => !ROOM_CODE_ALPHABET.includes(char))) return null;
+    return normalized;
+}
+
+/**
+ * Room both players meet in for a rematch. It is derived from the finished room,
+ * so pressing Rematch on both sides lands in the same room without sharing a new code.
+ * @param {string} code - Code of the room the match was played in
+ * @returns {string}
+ */
+export function getRematchCode(code) {
+    // FNV-1a hash of the code, spelled out in the room code alphabet
+    let hash = 0x811c9dc5;
+    for (const char of `${code}:rematch`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    let rematch = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        rematch += ROOM_CODE_ALPHABET[hash % ROOM_CODE_ALPHABET.length];
+        hash = Math.floor(hash / ROOM_CODE_ALPHABET.length);
+    }
+    return rematch;
+}
+
+/**
+ * Conversation ID backing a room
+ * @param {string} code - Room code
+ * @returns {string}
+ */
+export function getConversationId(code) {
+    return `thelastword_${code}`;
+}
+
+/**
+ * Shareable link that opens the lobby with the code filled in
+ * @param {string} code - Room code
+ * @returns {string}
+ */
+export function getRoomLink(code) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('profile');
+    url.searchParams.set('room', code);
+    return url.toString();
+}
+
+/**
+ * Room code passed in the URL (?room=CODE), if any
+ * @returns {string|null}
+ */
+export function getRoomCodeFromUrl() {
+    return normalizeRoomCode(new URLSearchParams(window.location.search).get('room'));
+}
+
+/**
+ * Room a spectator asked to watch (?spectate=CODE), if any
+ * @returns {string|null}
+ */
+export function getSpectateCodeFromUrl() {
+    return normalizeRoomCode(new URLSearchParams(window.location.search).get('spectate'));
+}
+
+/**
+ * Room whose recorded match should be replayed (?replay=CODE), if any
+ * @returns {string|null}
+ */
+export function getReplayCodeFromUrl() {
+    return normalizeRoomCode(new URLSearchParams(window.location.search).get('replay'));
+}
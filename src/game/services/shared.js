@@ -0,0 +1,34 @@
+import { TalkJSService } from './TalkJSService.js';
+import { SoundEngine } from './SoundEngine.js';
+
+/**
+ * Services shared by every scene.
+ * They are created once by the Boot scene and kept in the game registry, so the
+ * room session survives the move from the lobby to the battle and the sound
+ * settings apply everywhere. (Display settings live in gameSettings.js.)
+ */
+
+const REGISTRY_KEY = 'services';
+
+/**
+ * Create the shared services
+ * @param {Phaser.Game} game
+ * @returns {{talkJSService: TalkJSService, soundEngine: SoundEngine}}
+ */
+export function createSharedServices(game) {
+    const services = {
+        talkJSService: new TalkJSService(),
+        soundEngine: new SoundEngine(game)
+    };
+    game.registry.set(REGISTRY_KEY, services);
+    return services;
+}
+
+/**
+ * Get the shared services from any scene
+ * @param {Phaser.Scene} scene
+ * @returns {{talkJSService: TalkJSService, soundEngine: SoundEngine}}
+ */
+export function getSharedServices(scene) {
+    return scene.registry.get(REGISTRY_KEY);
+}
@@ -0,0 +1,330 @@
+import { ROOM_ERRORS, roomFull, roomNotFound } from './RoomError.js';
+
+const MAX_PARTICIPANTS = 2;
+// Relay reconnect backoff
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+
+// Conversation order. Tabs stamp their own messages, so order by timestamp then ID to give every
+// tab the same order; a message slotted in before the end makes TalkJSService judge the turns again.
+const compareMessages = (a, b) => (a.timestamp - b.timestamp) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Offline messaging transport.
+ * Without a relay URL, tabs of the same browser talk over a BroadcastChannel and
+ * history is kept in localStorage. With a relay URL, messages go through the
+ * local Node relay (relay.js) over a WebSocket so separate browsers can play.
+ */
+export class LocalTransport {
+    /**
+     * @param {object} options
+     * @param {string|null} options.relayUrl - WebSocket URL of the relay, or null for BroadcastChannel
+     */
+    constructor({ relayUrl = null } = {}) {
+        this.relayUrl = relayUrl;
+        this.me = null;
+        this.mode = null;
+        this.conversationId = null;
+        this.messages = [];
+        this.participantList = [];
+        this.settings = null;
+        this.listeners = new Set();
+        this.participantListeners = new Set();
+        this.connectionListeners = new Set();
+        this.roomCode = null;
+        this.joined = false; // Whether the relay ever accepted us, so a dropped socket is worth reconnecting
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.channel = null;
+        this.socket = null;
+    }
+
+    /**
+     * Create or join the room's conversation
+     * @param {object} params
+     * @param {{id: string, name: string}} params.me - The local user
+     * @param {string} params.conversationId - Conversation backing the room
+     * @param {string} params.roomCode - Shareable room code, for error messages
+     * @param {string} params.mode - 'create' to open a new room, 'join' to enter an existing one, 'spectate' to watch one
+     * @param {object} [params.settings] - Match settings stored with a newly created room
+     * @throws {RoomError} - When joining a room that doesn't exist or is full
+     */
+    async connect({ me, conversationId, roomCode, mode, settings = null }) {
+        this.me = me;
+        this.mode = mode;
+        this.conversationId = conversationId;
+        this.roomCode = roomCode;
+
+        if (this.relayUrl) {
+            await this.connectRelay(me, roomCode, mode, settings);
+        } else {
+            this.connectChannel(me, roomCode, mode, settings);
+        }
+    }
+
+    connectChannel(me, roomCode, mode, settings) {
+        this.messages = this.readStorage('messages');
+        this.participantList = this.readStorage('participants');
+        this.settings = this.readStorage('settings', null);
+
+        const isParticipant = this.participantList.some(p => p.id === me.id);
+        if (mode !== 'create' && this.participantList.length === 0) {
+            throw roomNotFound(roomCode);
+        }
+        // Spectators aren't participants, so they never fill the room
+        if (mode !== 'spectate') {
+            if (!isParticipant && this.participantList.length >= MAX_PARTICIPANTS) {
+                throw roomFull(roomCode);
+            }
+            this.addParticipant(me);
+            this.writeStorage('participants', this.participantList);
+        }
+        // The room keeps the settings it was created with
+        if (mode === 'create' && !this.settings && settings) {
+            this.settings = settings;
+            this.writeStorage('settings', settings);
+        }
+
+        this.channel = new BroadcastChannel(`thelastword:${this.conversationId}`);
+        this.channel.onmessage = (event) => {
+            if (event.data?.type === 'message') {
+                this.receive(event.data.message);
+            } else if (event.data?.type === 'participants') {
+                this.setParticipants(event.data.participants);
+            }
+        };
+        this.channel.postMessage({ type: 'participants', participants: this.participantList });
+    }
+
+    connectRelay(me, roomCode, mode, settings) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.relayUrl);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                socket.send(JSON.stringify({
+                    type: 'join',
+                    conversationId: this.conversationId,
+                    user: me,
+                    mode,
+                    settings
+                }));
+            });
+
+            socket.addEventListener('message', (event) => {
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (e) {
+                    console.error('Invalid relay frame:', e);
+                    return;
+                }
+
+                if (data.type === 'history') {
+                    this.messages = data.messages;
+                    this.settings = data.settings || null;
+                    this.setParticipants(data.participants);
+                    this.notify();
+                    this.joined = true;
+                    this.reconnectAttempts = 0;
+                    this.setConnectionState('connected');
+                    resolve();
+                } else if (data.type === 'error') {
+                    socket.close();
+                    reject(data.code === ROOM_ERRORS.ROOM_FULL ? roomFull(roomCode) : roomNotFound(roomCode));
+                } else if (data.type === 'message') {
+                    this.receive(data.message);
+                } else if (data.type === 'participants') {
+                    this.setParticipants(data.participants);
+                }
+            });
+
+            socket.addEventListener('error', () => {
+                reject(new Error(`Could not reach relay at ${this.relayUrl}`));
+            });
+
+            // disconnect() clears this.socket first, so only unexpected drops reconnect
+            socket.addEventListener('close', () => {
+                if (this.socket === socket && this.joined) {
+                    this.scheduleReconnect();
+                }
+            });
+        });
+    }
+
+    /**
+     * Rejoin the relay after the socket dropped, backing off between attempts
+     */
+    scheduleReconnect() {
+        this.socket = null;
+        this.setConnectionState('reconnecting');
+        const delay = Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            // The room exists by now, so creators rejoin it like everyone else
+            const mode = this.mode === 'spectate' ? 'spectate' : 'join';
+            this.connectRelay(this.me, this.roomCode, mode, null).catch(error => {
+                console.warn('Relay reconnect failed:', error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * Send a message to the conversation
+     * @param {object} message
+     * @param {string} message.text - Plain text of the message
+     * @param {object} [message.custom] - Custom string fields synced with the message
+     */
+    async send({ text, custom }) {
+        if (this.mode === 'spectate') {
+            throw new Error('Spectators cannot send messages');
+        }
+
+        const message = {
+            id: `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            sender: { id: this.me.id, name: this.me.name },
+            plaintext: text,
+            custom: custom || {},
+            timestamp: Date.now()
+        };
+
+        if (this.relayUrl && !this.socket) {
+            throw new Error('Not connected to the relay');
+        }
+        if (this.socket) {
+            // The relay echoes the message back, so it is received like any other
+            this.socket.send(JSON.stringify({ type: 'send', conversationId: this.conversationId, message }));
+            return;
+        }
+
+        this.receive(message);
+        this.channel.postMessage({ type: 'message', message });
+    }
+
+    /**
+     * Subscribe to the conversation's messages
+     * @param {Function} callback - Receives (messages, loadedAll), messages oldest first
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        callback(this.messages.slice(), true);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Subscribe to the conversation's participants
+     * @param {Function} callback - Receives an array of {id, name}
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeParticipants(callback) {
+        this.participantListeners.add(callback);
+        callback(this.participantList.slice());
+        return () => this.participantListeners.delete(callback);
+    }
+
+    /**
+     * Get the users taking part in the conversation
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async participants() {
+        return this.participantList.slice();
+    }
+
+    /**
+     * Subscribe to the connection state
+     * @param {Function} callback - Receives 'connected' or 'reconnecting'
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeConnection(callback) {
+        this.connectionListeners.add(callback);
+        return () => this.connectionListeners.delete(callback);
+    }
+
+    /**
+     * Get the match settings the room was created with
+     * @returns {Promise<object|null>}
+     */
+    async getRoomSettings() {
+        return this.settings;
+    }
+
+    /**
+     * Close the channel or socket
+     */
+    disconnect() {
+        this.listeners.clear();
+        this.participantListeners.clear();
+        this.connectionListeners.clear();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    receive(message) {
+        if (this.messages.some(m => m.id === message.id)) return;
+        const index = this.messages.findIndex(m => compareMessages(m, message) > 0);
+        if (index === -1) {
+            this.messages.push(message);
+        } else {
+            this.messages.splice(index, 0, message);
+        }
+        if (this.channel) {
+            this.persistMessages();
+        }
+        this.notify();
+    }
+
+    /**
+     * Merge our messages into the room's stored ones, by message ID. Every tab that
+     * receives a message writes it, so it survives the sender closing straight away,
+     * and a tab that overwrote another's write has its messages merged back by the next one.
+     */
+    persistMessages() {
+        const merged = new Map(this.readStorage('messages').map(m => [m.id, m]));
+        this.messages.forEach(m => merged.set(m.id, m));
+        this.writeStorage('messages', [...merged.values()].sort(compareMessages));
+    }
+
+    notify() {
+        const snapshot = this.messages.slice();
+        this.listeners.forEach(listener => listener(snapshot, true));
+    }
+
+    setParticipants(participants) {
+        this.participantList = participants;
+        this.participantListeners.forEach(listener => listener(participants.slice()));
+    }
+
+    setConnectionState(state) {
+        this.connectionListeners.forEach(listener => listener(state));
+    }
+
+    addParticipant(user) {
+        if (!this.participantList.some(p => p.id === user.id)) {
+            this.participantList.push({ id: user.id, name: user.name });
+        }
+    }
+
+    readStorage(key, fallback = []) {
+        try {
+            return JSON.parse(localStorage.getItem(`thelastword:${this.conversationId}:${key}`)) || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    writeStorage(key, value) {
+        localStorage.setItem(`thelastword:${this.conversationId}:${key}`, JSON.stringify(value));
+    }
+}
@@ -0,0 +1,25 @@
+export const ROOM_ERRORS = {
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_FULL: 'ROOM_FULL'
+};
+
+/**
+ * Raised by a transport when a room can't be joined
+ */
+export class RoomError extends Error {
+    /**
+     * @param {string} code - One of ROOM_ERRORS
+     * @param {string} message - Human readable explanation
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'RoomError';
+        this.code = code;
+    }
+}
+
+export const roomNotFound = (code) =>
+    new RoomError(ROOM_ERRORS.ROOM_NOT_FOUND, `Room ${code} doesn't exist. Check the code and try again.`);
+
+export const roomFull = (code) =>
+    new RoomError(ROOM_ERRORS.ROOM_FULL, `Room ${code} already has two players.`);
@@ -0,0 +1,279 @@
+import { roomFull, roomNotFound } from './RoomError.js';
+
+const MAX_PARTICIPANTS = 2;
+// Resubscribe backoff after a subscription fails
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+// Messages fetched per page while loading the rest of the history (TalkJS allows up to 100)
+const HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Messaging transport backed by a TalkJS app
+ */
+export class TalkJSTransport {
+    /**
+     * @param {object} options
+     * @param {string} options.host - TalkJS host (e.g. "durhack.talkjs.com")
+     * @param {string} options.appId - TalkJS app ID
+     * @param {string} options.sdkUrl - URL the @talkjs/core module is imported from
+     */
+    constructor({ host, appId, sdkUrl }) {
+        this.host = host;
+        this.appId = appId;
+        this.sdkUrl = sdkUrl;
+        this.session = null;
+        this.conversation = null;
+        this.subscription = null;
+        this.messageCallback = null;
+        this.connectionListeners = new Set();
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.handleOffline = () => this.setConnectionState('reconnecting');
+        this.handleOnline = () => this.resubscribe();
+    }
+
+    /**
+     * Open a session and create or join the room's conversation
+     * @param {object} params
+     * @param {{id: string, name: string}} params.me - The local user
+     * @param {string} params.conversationId - Conversation backing the room
+     * @param {string} params.roomCode - Shareable room code, for error messages
+     * @param {string} params.mode - 'create' to open a new room, 'join' to enter an existing one, 'spectate' to watch one
+     * @param {object} [params.settings] - Match settings stored with a newly created room
+     * @throws {RoomError} - When joining a room that doesn't exist or is full
+     */
+    async connect({ me, conversationId, roomCode, mode, settings = null }) {
+        // Import TalkJS dynamically
+        const { getTalkSession } = await import(/* @vite-ignore */ this.sdkUrl);
+
+        this.session = getTalkSession({
+            host: this.host,
+            appId: this.appId,
+            userId: me.id
+        });
+
+        const user = this.session.user(me.id);
+        await user.createIfNotExists({ name: me.name });
+        await user.set({ name: me.name });
+
+        this.conversation = this.session.conversation(conversationId);
+        if (mode === 'create') {
+            // Settings live in the conversation's custom data so every client reads the same ones.
+            // A code that is already taken is then entered like any other room, full check included.
+            await this.conversation.createIfNotExists(settings ? { custom: { settings: JSON.stringify(settings) } } : undefined);
+        }
+
+        // Count the players before adding ourselves; a returning player is always let back in
+        if (mode !== 'spectate') {
+            const players = await this.players();
+            if (players.length >= MAX_PARTICIPANTS && !players.some(p => p.id === me.id)) {
+                throw roomFull(roomCode);
+            }
+        }
+
+        // Adding ourselves fails when the conversation doesn't exist.
+        // Spectators get read-only access, so TalkJS itself stops them from sending.
+        const access = mode === 'spectate' ? 'Read' : 'ReadWrite';
+        try {
+            await this.conversation.participant(me.id).createIfNotExists({ access });
+        } catch (error) {
+            throw roomNotFound(roomCode);
+        }
+        if (mode === 'spectate') return;
+
+        // Two players may have slipped in at once: only those who joined last, by joinedAt, leave again
+        const players = await this.players();
+        if (players.slice(MAX_PARTICIPANTS).some(p => p.id === me.id)) {
+            await this.conversation.participant(me.id).delete();
+            throw roomFull(roomCode);
+        }
+    }
+
+    /**
+     * Send a message to the conversation
+     * @param {object} message
+     * @param {string} message.text - Plain text of the message
+     * @param {object} [message.custom] - Custom string fields synced with the message
+     */
+    async send({ text, custom }) {
+        if (custom) {
+            return this.conversation.send({ text, custom });
+        }
+        return this.conversation.send(text);
+    }
+
+    /**
+     * Subscribe to the conversation's messages
+     * @param {Function} callback - Receives (messages, loadedAll), messages oldest first, or (null) on failure.
+     *   Only called once the whole history is loaded, so loadedAll is always true
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.messageCallback = callback;
+        this.openMessageSubscription();
+        window.addEventListener('offline', this.handleOffline);
+        window.addEventListener('online', this.handleOnline);
+
+        return () => this.closeMessageSubscription();
+    }
+
+    openMessageSubscription() {
+        let subscription = null;
+        let pagePending = false; // A partial window arrived before subscribeMessages returned
+        subscription = this.conversation.subscribeMessages((messages, loadedAll) => {
+            if (messages === null) {
+                this.messageCallback?.(null, false);
+                return;
+            }
+            // TalkJS starts with a window of the newest messages only. Turns are judged from
+            // the first message, so page back to it before handing any of them on
+            if (!loadedAll) {
+                if (subscription) {
+                    subscription.loadMore(HISTORY_PAGE_SIZE);
+                } else {
+                    pagePending = true;
+                }
+                return;
+            }
+
+            // TalkJS delivers newest first; the transport contract is oldest first
+            const normalized = messages.map(m => this.normalizeMessage(m)).reverse();
+            this.messageCallback?.(normalized, loadedAll);
+        });
+        this.subscription = subscription;
+        if (pagePending) subscription.loadMore(HISTORY_PAGE_SIZE);
+
+        subscription.connected?.then(() => {
+            if (this.subscription !== subscription) return;
+            this.reconnectAttempts = 0;
+            this.setConnectionState('connected');
+        });
+        // A subscription we didn't unsubscribe ourselves has failed: try again with backoff
+        subscription.terminated?.then(() => {
+            if (this.subscription !== subscription) return;
+            this.setConnectionState('reconnecting');
+            const delay = Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * 2 ** this.reconnectAttempts);
+            this.reconnectAttempts++;
+            this.reconnectTimer = setTimeout(() => this.resubscribe(), delay);
+        });
+    }
+
+    /**
+     * Replace the message subscription; already seen messages are filtered out by the caller
+     */
+    resubscribe() {
+        if (!this.messageCallback) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const previous = this.subscription;
+        this.subscription = null;
+        previous?.unsubscribe();
+        this.openMessageSubscription();
+    }
+
+    closeMessageSubscription() {
+        window.removeEventListener('offline', this.handleOffline);
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.messageCallback = null;
+
+        const subscription = this.subscription;
+        this.subscription = null;
+        subscription?.unsubscribe();
+    }
+
+    /**
+     * Subscribe to the connection state
+     * @param {Function} callback - Receives 'connected' or 'reconnecting'
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeConnection(callback) {
+        this.connectionListeners.add(callback);
+        return () => this.connectionListeners.delete(callback);
+    }
+
+    setConnectionState(state) {
+        this.connectionListeners.forEach(listener => listener(state));
+    }
+
+    /**
+     * Subscribe to the conversation's participants
+     * @param {Function} callback - Receives an array of {id, name, access}, in the order they joined
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeParticipants(callback) {
+        const subscription = this.conversation.subscribeParticipants((snapshots) => {
+            if (snapshots) {
+                callback(this.normalizeParticipants(snapshots));
+            }
+        });
+        return () => subscription.unsubscribe();
+    }
+
+    /**
+     * Get the users taking part in the conversation
+     * @returns {Promise<Array<{id: string, name: string, access: string}>>} - In the order they joined
+     */
+    participants() {
+        return new Promise((resolve) => {
+            const subscription = this.conversation.subscribeParticipants((snapshots) => {
+                subscription.unsubscribe();
+                resolve(this.normalizeParticipants(snapshots || []));
+            });
+        });
+    }
+
+    /**
+     * Get the participants who play rather than watch
+     * @returns {Promise<Array<{id: string, name: string, access: string}>>} - In the order they joined
+     */
+    async players() {
+        return (await this.participants()).filter(p => p.access !== 'Read');
+    }
+
+    /**
+     * Get the match settings the room was created with
+     * @returns {Promise<object|string|null>} - Settings JSON from the conversation's custom data
+     */
+    async getRoomSettings() {
+        const snapshot = await this.conversation.get();
+        return snapshot?.custom?.settings ?? null;
+    }
+
+    /**
+     * Close the subscription
+     */
+    disconnect() {
+        this.closeMessageSubscription();
+        this.connectionListeners.clear();
+    }
+
+    /**
+     * Convert TalkJS participant snapshots to {id, name, access}, oldest member first
+     * @param {Array<object>} snapshots - TalkJS ParticipantSnapshots
+     * @returns {Array<object>}
+     */
+    normalizeParticipants(snapshots) {
+        return snapshots
+            .slice()
+            .sort((a, b) => a.joinedAt - b.joinedAt)
+            .map(p => ({ id: p.user.id, name: p.user.name, access: p.access }));
+    }
+
+    /**
+     * Convert a TalkJS message snapshot to the transport message shape
+     * @param {object} m - TalkJS MessageSnapshot
+     * @returns {object} - {id, sender, plaintext, custom, timestamp}
+     */
+    normalizeMessage(m) {
+        return {
+            id: m.id,
+            sender: m.sender ? { id: m.sender.id, name: m.sender.name } : null,
+            plaintext: m.plaintext,
+            custom: m.custom || {},
+            timestamp: m.createdAt
+        };
+    }
+}
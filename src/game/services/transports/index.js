@@ -0,0 +1,43 @@
+import { TalkJSTransport } from './TalkJSTransport.js';
+import { LocalTransport } from './LocalTransport.js';
+
+export { TalkJSTransport, LocalTransport };
+
+/**
+ * Read the transport configuration.
+ * URL parameters win over Vite env vars so a single build can be switched per tab:
+ *   ?transport=local                      - BroadcastChannel between tabs of one browser
+ *   ?transport=local&relay=ws://host:8787 - local Node relay (npm run relay)
+ * @returns {object} - {type, relayUrl, host, appId, sdkUrl}
+ */
+export function getTransportConfig() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const env = import.meta.env;
+
+    return {
+        type: urlParams.get('transport') || env.VITE_TRANSPORT || 'talkjs',
+        relayUrl: urlParams.get('relay') || env.VITE_RELAY_URL || null,
+        host: env.VITE_TALKJS_HOST || 'durhack.talkjs.com',
+        appId: env.VITE_TALKJS_APP_ID || 'tCc397Q9',
+        sdkUrl: 'https://cdn.jsdelivr.net/npm/@talkjs/core@1.5.8'
+    };
+}
+
+/**
+ * Create a messaging transport.
+ * Every transport implements connect({me, conversationId, roomCode, mode, settings}), send({text, custom}),
+ * subscribe(callback), subscribeParticipants(callback), subscribeConnection(callback), participants() and
+ * getRoomSettings(). subscribeConnection reports 'reconnecting' when the link drops and 'connected' once it
+ * is back; messages missed meanwhile arrive with the next snapshot. connect() throws a
+ * RoomError when joining a room that doesn't exist or is full. Messages are delivered oldest
+ * first as {id, sender: {id, name}, plaintext, custom, timestamp}, always the whole conversation
+ * from its first message.
+ * @param {object} config - Output of getTransportConfig()
+ * @returns {TalkJSTransport|LocalTransport}
+ */
+export function createTransport(config = getTransportConfig()) {
+    if (config.type === 'local') {
+        return new LocalTransport({ relayUrl: config.relayUrl });
+    }
+    return new TalkJSTransport(config);
+}
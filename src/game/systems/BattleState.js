@@ -0,0 +1,104 @@
+import { MAX_HP, computeDamage, computeGuard } from './damageModel.js';
+import { RulesEngine } from './RulesEngine.js';
+import { decideMatch, decideRound, getStandings } from './rounds.js';
+
+/**
+ * Hit points, guards and judged rounds for both wizards.
+ * Messages must be applied in conversation order; given the same messages,
+ * every client ends up with the same state.
+ */
+export class BattleState {
+    /**
+     * @param {Array<string>} playerIds - IDs of the two combatants
+     * @param {object} options
+     * @param {number} options.rounds - Judged rounds before the match is decided, 0 to fight until a knockout
+     */
+    constructor(playerIds, { rounds = 0 } = {}) {
+        this.playerIds = playerIds;
+        this.rounds = rounds;
+        this.roundResults = []; // {round, winnerId, scores} for every scored round
+        this.players = {};
+        playerIds.forEach(id => {
+            this.players[id] = { hp: MAX_HP, maxHp: MAX_HP, guard: 0 };
+        });
+        this.rules = new RulesEngine();
+        this.winnerId = null;
+    }
+
+    /**
+     * Apply a message to the battle
+     * @param {string} senderId - ID of the caster
+     * @param {string} text - Message text
+     * @param {object|null} effects - Validated effects payload
+     * @returns {object|null} - {targetId, damage, absorbed, guard, ko, ruling}, or null if the message doesn't affect the battle
+     */
+    applyMessage(senderId, text, effects) {
+        if (this.winnerId || !this.players[senderId]) return null;
+
+        const targetId = Object.keys(this.players).find(id => id !== senderId);
+        const caster = this.players[senderId];
+        const target = this.players[targetId];
+
+        const ruling = this.rules.resolve(senderId, text);
+        const guard = computeGuard(ruling);
+        if (guard > 0) {
+            caster.guard = guard;
+            return { targetId, damage: 0, absorbed: 0, guard, ko: false, ruling };
+        }
+
+        // A raised guard absorbs part of the next hit, then drops
+        const raw = computeDamage(effects, ruling);
+        const absorbed = Math.round(raw * target.guard);
+        const damage = raw - absorbed;
+        target.guard = 0;
+        target.hp = Math.max(0, target.hp - damage);
+
+        const ko = target.hp === 0;
+        if (ko) {
+            this.winnerId = senderId;
+        }
+
+        return { targetId, damage, absorbed, guard: 0, ko, ruling };
+    }
+
+    /**
+     * Record a judged round; the last round decides the match
+     * @param {{round: number, scores: object}} roundScores - Normalized scores (see normalizeRoundScores)
+     * @param {string} lastSpeakerId - Sender of the message that closed the round
+     * @returns {{round: number, winnerId: string, scores: object, standings: object, matchWinnerId: string|null}|null} -
+     *   null if the battle is already over or the round was already scored
+     */
+    scoreRound(roundScores, lastSpeakerId) {
+        if (this.winnerId || roundScores.round !== this.roundResults.length + 1) return null;
+
+        const result = { round: roundScores.round, winnerId: decideRound(roundScores.scores, lastSpeakerId), scores: roundScores.scores };
+        this.roundResults.push(result);
+
+        let matchWinnerId = null;
+        if (result.round >= this.rounds) {
+            matchWinnerId = decideMatch(this.roundResults, this.playerIds);
+            this.winnerId = matchWinnerId;
+        }
+        return { ...result, standings: getStandings(this.roundResults, this.playerIds), matchWinnerId };
+    }
+
+    /**
+     * End the battle because a player gave up or ran out of time
+     * @param {string} playerId - The player who forfeits
+     * @returns {string|null} - The winner's ID, or null if the battle was already over
+     */
+    forfeit(playerId) {
+        if (this.winnerId || !this.players[playerId]) return null;
+        this.winnerId = Object.keys(this.players).find(id => id !== playerId);
+        return this.winnerId;
+    }
+
+    /**
+     * Get a player's hit points
+     * @param {string} playerId
+     * @returns {{hp: number, maxHp: number, guard: number}}
+     */
+    getPlayer(playerId) {
+        return this.players[playerId];
+    }
+}
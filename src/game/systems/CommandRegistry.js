@@ -0,0 +1,89 @@
+const COMMAND_NAME = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Slash commands typed in the input box, e.g. "/shield" or "/emote bows".
+ * Anything can register a command, so new mechanics bring their own.
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map(); // Name -> command
+    }
+
+    /**
+     * Add a command; a later command with the same name replaces it
+     * @param {object} command
+     * @param {string} command.name - Typed after the slash: lowercase letters, digits and dashes
+     * @param {string} command.usage - Arguments, for help and autocomplete (e.g. '<spell>'), or '' for none
+     * @param {string} command.description - One line of help
+     * @param {Function} command.run - Called with the argument text and the send options ({regenerate})
+     * @param {Function} command.suggest - Optional, called with the argument typed so far; returns completions for it
+     * @returns {Function} - Removes the command again
+     */
+    register({ name, usage = '', description, run, suggest = null }) {
+        if (!COMMAND_NAME.test(name) || typeof run !== 'function') {
+            throw new Error(`Invalid command: /${name}`);
+        }
+        const command = { name, usage, description, run, suggest };
+        this.commands.set(name, command);
+        return () => {
+            if (this.commands.get(name) === command) {
+                this.commands.delete(name);
+            }
+        };
+    }
+
+    /**
+     * List every command, in the order they were registered
+     * @returns {Array<object>}
+     */
+    list() {
+        return [...this.commands.values()];
+    }
+
+    /**
+     * Split a typed message into a command and its argument
+     * @param {string} text - What the player typed
+     * @returns {{command: object, args: string}|{error: string, message: string}|null} -
+     *   The command, an UNKNOWN_COMMAND error for an unregistered one, or null for ordinary messages
+     */
+    parse(text) {
+        const match = text.trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+        if (!match) return null;
+
+        const command = this.commands.get(match[1].toLowerCase());
+        if (!command) {
+            return { error: 'UNKNOWN_COMMAND', message: `Unknown command /${match[1]}.\nType /help for the list.` };
+        }
+        return { command, args: match[2].trim() };
+    }
+
+    /**
+     * Completions for a partly typed command: command names until a space is
+     * typed, then whatever the command suggests for its argument
+     * @param {string} text - Contents of the input box
+     * @returns {Array<{value: string, label: string, description: string}>} - value replaces the input box contents
+     */
+    complete(text) {
+        const match = text.match(/^\/(\S*)(\s+([\s\S]*))?$/);
+        if (!match) return [];
+
+        const [, typedName, separator, typedArgs = ''] = match;
+        if (!separator) {
+            return this.list()
+                .filter(command => command.name.startsWith(typedName.toLowerCase()))
+                .map(command => ({
+                    value: command.usage ? `/${command.name} ` : `/${command.name}`,
+                    label: [`/${command.name}`, command.usage].filter(Boolean).join(' '),
+                    description: command.description
+                }));
+        }
+
+        const command = this.commands.get(typedName.toLowerCase());
+        if (!command?.suggest) return [];
+        return command.suggest(typedArgs).map(suggestion => ({
+            value: `/${command.name} ${suggestion}`,
+            label: suggestion,
+            description: ''
+        }));
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Deterministic elemental rules.
+ * Classifies messages into an element and an action, and resolves each cast
+ * against the matchup table and the casters' previous moves. Damage, effects
+ * and the Gemini prompt all read the rules from here.
+ */
+
+export const ELEMENT_KEYWORDS = {
+    fire: ['fire', 'fireball', 'firestorm', 'flame', 'burn', 'burnt', 'blaze', 'blazing', 'inferno', 'ember'],
+    ice: ['ice', 'icicle', 'freeze', 'freezing', 'frozen', 'frost', 'snow', 'snowball', 'blizzard', 'glacier'],
+    electric: ['lightning', 'thunder', 'electric', 'shock', 'spark', 'volt'],
+    earth: ['earth', 'rock', 'stone', 'quake', 'boulder', 'mud'],
+    poison: ['poison', 'toxic', 'venom', 'acid', 'plague'],
+    holy: ['holy', 'light', 'divine', 'smite', 'radiant', 'bless']
+};
+
+export const ACTION_KEYWORDS = {
+    ultimate: ['ultimate', 'final', 'boom', 'meteor', 'apocalypse'],
+    dodge: ['dodge', 'evade', 'sidestep', 'duck'],
+    defend: ['block', 'shield', 'defend', 'counter', 'parry', 'reflect', 'barrier', 'ward'],
+    attack: ['attack', 'strike', 'blast', 'explosion', 'punch', 'kick', 'shoot', 'throw', 'slash', 'bolt', 'ball', 'fireball', 'snowball']
+};
+
+// Keywords only match whole words, give or take a plain ending ("flames", "blasting"),
+// so "nice" isn't ice, "toward" isn't a ward and "finally" isn't an ultimate
+const toPattern = keywords => new RegExp(`\\b(?:${keywords.join('|')})(?:s|es|d|ed|ing|er|ers|y)?\\b`, 'i');
+const ELEMENT_PATTERNS = Object.fromEntries(Object.entries(ELEMENT_KEYWORDS).map(([name, keywords]) => [name, toPattern(keywords)]));
+const ACTION_PATTERNS = Object.fromEntries(Object.entries(ACTION_KEYWORDS).map(([name, keywords]) => [name, toPattern(keywords)]));
+
+// Each element and the element that counters it
+export const COUNTERS = {
+    fire: 'ice',
+    ice: 'fire',
+    electric: 'earth',
+    earth: 'electric',
+    poison: 'holy',
+    holy: 'poison'
+};
+
+export const MODIFIERS = {
+    SUPER_EFFECTIVE: 'super-effective',
+    RESISTED: 'resisted',
+    COMBO: 'combo'
+};
+
+const SUPER_EFFECTIVE_MULTIPLIER = 1.5;
+const RESISTED_MULTIPLIER = 0.5;
+const COMBO_STEP = 0.25;
+const MAX_COMBO = 3;
+
+/**
+ * Classify a message, e.g. "Fireball!" is a fire attack, "Raise the shields" a defend
+ * and "Nice try, I'm coming toward you" a taunt with no element
+ * @param {string} text - Message text
+ * @returns {{element: string|null, action: string}} - action is 'ultimate', 'dodge', 'defend',
+ *   'attack', or 'taunt' for messages that are none of those
+ */
+export function classifyMessage(text) {
+    const element = Object.keys(ELEMENT_PATTERNS).find(name => ELEMENT_PATTERNS[name].test(text)) ?? null;
+
+    // Checked in priority order: an "ultimate shield" is still an ultimate
+    let action = ['ultimate', 'dodge', 'defend', 'attack'].find(name => ACTION_PATTERNS[name].test(text));
+    if (!action) {
+        action = element ? 'attack' : 'taunt';
+    }
+
+    return { element, action };
+}
+
+/**
+ * Damage multiplier of one element against another
+ * @param {string|null} attacker - Element of the attack
+ * @param {string|null} defender - Element the target last used
+ * @returns {number}
+ */
+export function getMatchup(attacker, defender) {
+    if (!attacker || !defender) return 1;
+    if (COUNTERS[defender] === attacker) return SUPER_EFFECTIVE_MULTIPLIER;
+    if (attacker === defender) return RESISTED_MULTIPLIER;
+    return 1;
+}
+
+/**
+ * Stateful rules engine for one battle.
+ * Feed it every message in conversation order.
+ */
+export class RulesEngine {
+    constructor() {
+        // Per player: {element, action, combo} of their last message
+        this.lastMoves = {};
+    }
+
+    /**
+     * Resolve a message against the battle so far
+     * @param {string} senderId - ID of the caster
+     * @param {string} text - Message text
+     * @returns {{element: string|null, action: string, modifiers: Array<string>, multiplier: number, combo: number}}
+     */
+    resolve(senderId, text) {
+        const { element, action } = classifyMessage(text);
+        const previous = this.lastMoves[senderId];
+        const opponentMove = Object.entries(this.lastMoves).find(([id]) => id !== senderId)?.[1];
+
+        const modifiers = [];
+        let multiplier = 1;
+        let combo = 0;
+
+        const offensive = action === 'attack' || action === 'ultimate';
+        if (offensive) {
+            const matchup = getMatchup(element, opponentMove?.element ?? null);
+            if (matchup > 1) modifiers.push(MODIFIERS.SUPER_EFFECTIVE);
+            if (matchup < 1) modifiers.push(MODIFIERS.RESISTED);
+            multiplier *= matchup;
+
+            // Chaining the same element builds a combo
+            if (element && previous?.element === element && (previous.action === 'attack' || previous.action === 'ultimate')) {
+                combo = Math.min(MAX_COMBO, previous.combo + 1);
+                modifiers.push(MODIFIERS.COMBO);
+                multiplier *= 1 + combo * COMBO_STEP;
+            }
+        }
+
+        this.lastMoves[senderId] = { element, action, combo };
+        return { element, action, modifiers, multiplier, combo };
+    }
+
+    /**
+     * Element a player last used
+     * @param {string} playerId
+     * @returns {string|null}
+     */
+    getLastElement(playerId) {
+        return this.lastMoves[playerId]?.element ?? null;
+    }
+}
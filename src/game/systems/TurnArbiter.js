@@ -0,0 +1,82 @@
+/**
+ * Decides which messages count as turns.
+ * Every message claims a turn number and the ID of the message before it.
+ * Messages are judged in conversation order, which every client receives the
+ * same way, so when two players send at once the first claim for a turn wins
+ * and the other is rejected on both sides.
+ */
+export class TurnArbiter {
+    /**
+     * @param {TurnTimer} turnTimer - Used to work out who held the turn after timeouts
+     */
+    constructor(turnTimer = null) {
+        this.turnTimer = turnTimer;
+        this.turn = 0; // Number of accepted messages
+        this.lastMessageId = null;
+        this.lastSenderId = null;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Turn number the next message must claim
+     * @returns {number}
+     */
+    get nextTurn() {
+        return this.turn + 1;
+    }
+
+    /**
+     * Build the turn claim to send with a message
+     * @returns {{turn: string, prevId: string}} - Custom fields (TalkJS custom data is strings only)
+     */
+    createClaim() {
+        return { turn: String(this.nextTurn), prevId: this.lastMessageId || '' };
+    }
+
+    /**
+     * Judge the next message in conversation order; accepted messages advance the turn
+     * @param {object} message - Transport message {id, sender, custom, timestamp}
+     * @returns {{accepted: boolean, turn: number|null, reason: string|null}} -
+     *   reason is 'STALE_TURN' (lost a race or replied to an old message),
+     *   'OUT_OF_TURN' (not the sender's turn) or 'TOO_LATE' (sent after a forfeit)
+     */
+    judge(message) {
+        const senderId = message.sender?.id;
+        if (!senderId) {
+            return { accepted: false, turn: null, reason: 'OUT_OF_TURN' };
+        }
+
+        // Messages from before turn claims existed are only checked for alternation
+        const claim = message.custom?.turn !== undefined
+            ? { turn: Number(message.custom.turn), prevId: message.custom.prevId || null }
+            : null;
+        if (claim && (claim.turn !== this.nextTurn || claim.prevId !== this.lastMessageId)) {
+            return { accepted: false, turn: claim.turn, reason: 'STALE_TURN' };
+        }
+
+        if (this.lastSenderId) {
+            const state = this.turnTimer?.evaluate({
+                lastSenderId: this.lastSenderId,
+                lastTimestamp: this.lastTimestamp,
+                playerIds: [this.lastSenderId],
+                now: message.timestamp
+            });
+            if (state && this.turnTimer.onTimeout === 'forfeit' && message.timestamp >= state.deadline) {
+                return { accepted: false, turn: this.nextTurn, reason: 'TOO_LATE' };
+            }
+            // Each skipped turn hands the turn back to the other player
+            const senderHasTurn = (state?.skipped ?? 0) % 2 === 1
+                ? senderId === this.lastSenderId
+                : senderId !== this.lastSenderId;
+            if (!senderHasTurn) {
+                return { accepted: false, turn: this.nextTurn, reason: 'OUT_OF_TURN' };
+            }
+        }
+
+        this.turn = this.nextTurn;
+        this.lastMessageId = message.id;
+        this.lastSenderId = senderId;
+        this.lastTimestamp = message.timestamp;
+        return { accepted: true, turn: this.turn, reason: null };
+    }
+}
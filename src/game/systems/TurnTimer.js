@@ -0,0 +1,60 @@
+/**
+ * Per-turn time limit.
+ * Deadlines are derived only from the last synced message (its sender and
+ * timestamp), so every client works out the same turn holder and expiry.
+ */
+export class TurnTimer {
+    /**
+     * @param {object} settings - Match settings {turnTimeLimit, onTimeout}
+     */
+    constructor(settings) {
+        this.limitMs = settings.turnTimeLimit * 1000;
+        this.onTimeout = settings.onTimeout;
+    }
+
+    get enabled() {
+        return this.limitMs > 0;
+    }
+
+    /**
+     * Work out whose turn it is and how long they have left
+     * @param {object} params
+     * @param {string} params.lastSenderId - Sender of the last message
+     * @param {number} params.lastTimestamp - Timestamp of the last message (ms)
+     * @param {Array<string>} params.playerIds - Both combatants
+     * @param {number} params.now - Current time (ms)
+     * @returns {{holderId: string|null, deadline: number, remaining: number, skipped: number, forfeitedBy: string|null}|null} -
+     *   null when there is no limit or no message yet. With 'skip', every expired
+     *   turn passes to the other player and restarts the clock; with 'forfeit',
+     *   the player who ran out of time is reported in forfeitedBy.
+     */
+    evaluate({ lastSenderId, lastTimestamp, playerIds, now }) {
+        if (!this.enabled || !lastSenderId || typeof lastTimestamp !== 'number') return null;
+
+        const opponentId = playerIds.find(id => id !== lastSenderId) ?? null;
+        const elapsed = Math.max(0, now - lastTimestamp);
+
+        if (this.onTimeout === 'forfeit') {
+            const deadline = lastTimestamp + this.limitMs;
+            const expired = elapsed >= this.limitMs;
+            return {
+                holderId: expired ? null : opponentId,
+                deadline,
+                remaining: Math.max(0, deadline - now),
+                skipped: 0,
+                forfeitedBy: expired ? opponentId : null
+            };
+        }
+
+        // Turns alternate every limitMs until someone sends a message
+        const skipped = Math.floor(elapsed / this.limitMs);
+        const deadline = lastTimestamp + (skipped + 1) * this.limitMs;
+        return {
+            holderId: skipped % 2 === 0 ? opponentId : lastSenderId,
+            deadline,
+            remaining: deadline - now,
+            skipped,
+            forfeitedBy: null
+        };
+    }
+}
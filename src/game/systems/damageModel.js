@@ -0,0 +1,58 @@
+/**
+ * Damage rules. Everything here is a pure function of the synced message
+ * (validated effects + the rules engine's ruling) so both clients compute identical results.
+ */
+
+export const MAX_HP = 100;
+
+// Damage for a message sent without effects (emotes, plain chat)
+const PLAIN_DAMAGE = 2;
+
+// Share of the next hit a defensive message absorbs
+const GUARD_REDUCTION = {
+    dodge: 0.75,
+    defend: 0.5
+};
+
+const ULTIMATE_MULTIPLIER = 1.25;
+
+/**
+ * Work out the guard a defensive message raises
+ * @param {object} ruling - Result of RulesEngine.resolve()
+ * @returns {number} - Fraction of the next hit absorbed (0 when the message is not defensive)
+ */
+export function computeGuard(ruling) {
+    return GUARD_REDUCTION[ruling.action] ?? 0;
+}
+
+/**
+ * Compute the raw damage a message deals
+ * @param {object|null} effects - Validated effects payload
+ * @param {object} ruling - Result of RulesEngine.resolve()
+ * @returns {number} - Whole hit points of damage before guards
+ */
+export function computeDamage(effects, ruling) {
+    if (computeGuard(ruling) > 0) return 0;
+    if (!effects) return PLAIN_DAMAGE;
+
+    // Font size 20-48 maps to 4-12 base damage
+    let damage = 4 + ((effects.fontSize - 20) / 28) * 8;
+
+    // Particle intensity: more particles emitted more often hit harder
+    if (effects.particles) {
+        const quantity = effects.particles.quantity ?? 3;
+        const frequency = effects.particles.frequency ?? 30;
+        damage += quantity * (30 / frequency) * 1.5;
+    }
+
+    // Elemental spells carry a flat bonus
+    if (ruling.element) {
+        damage += 3;
+    }
+    if (ruling.action === 'ultimate') {
+        damage *= ULTIMATE_MULTIPLIER;
+    }
+
+    // Super-effective, resisted and combo modifiers
+    return Math.round(damage * ruling.multiplier);
+}
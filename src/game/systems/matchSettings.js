@@ -0,0 +1,39 @@
+/**
+ * Settings chosen by the room creator and stored with the room,
+ * so both clients (and spectators) play by the same rules
+ */
+
+export const TIMEOUT_ACTIONS = ['skip', 'forfeit'];
+export const MAX_ROUNDS = 20;
+
+export const DEFAULT_MATCH_SETTINGS = {
+    turnTimeLimit: 60, // Seconds per turn, 0 for no limit
+    onTimeout: 'skip', // 'skip' passes the turn, 'forfeit' ends the match
+    rounds: 5 // Judged exchanges before the match is decided, 0 to fight until a knockout
+};
+
+/**
+ * Fill in and sanity-check match settings from storage or the network
+ * @param {object|string|null} raw - Settings object or its JSON
+ * @returns {object} - Complete settings
+ */
+export function normalizeMatchSettings(raw) {
+    let settings = raw;
+    if (typeof raw === 'string') {
+        try {
+            settings = JSON.parse(raw);
+        } catch (e) {
+            settings = null;
+        }
+    }
+    settings = { ...DEFAULT_MATCH_SETTINGS, ...(settings || {}) };
+
+    const limit = Number(settings.turnTimeLimit);
+    settings.turnTimeLimit = Number.isFinite(limit) && limit > 0 ? Math.min(600, Math.round(limit)) : 0;
+    const rounds = Number(settings.rounds);
+    settings.rounds = Number.isFinite(rounds) && rounds > 0 ? Math.min(MAX_ROUNDS, Math.round(rounds)) : 0;
+    if (!TIMEOUT_ACTIONS.includes(settings.onTimeout)) {
+        settings.onTimeout = DEFAULT_MATCH_SETTINGS.onTimeout;
+    }
+    return settings;
+}
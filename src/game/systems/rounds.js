@@ -0,0 +1,114 @@
+/**
+ * Round rules for "the last word".
+ * Every two accepted turns make a round. When a round closes, a judge scores
+ * each word in it and the scores travel with the closing message, so every
+ * client applies the same ones. After the room's number of rounds, the player
+ * who won the most rounds has the last word.
+ */
+
+// What a judge scores each word on, each from 0 to MAX_CRITERION_SCORE
+export const SCORE_CRITERIA = ['creativity', 'escalation', 'counterPlay'];
+export const MAX_CRITERION_SCORE = 10;
+
+/**
+ * Round a turn belongs to
+ * @param {number} turn - Accepted turn number (1-based)
+ * @returns {number} - Round number (1-based)
+ */
+export function getRoundNumber(turn) {
+    return Math.ceil(turn / 2);
+}
+
+/**
+ * Whether a turn closes its round (and so carries the round's scores)
+ * @param {number} turn - Accepted turn number
+ * @param {number} rounds - Rounds in the match, 0 for no judged rounds
+ * @returns {boolean}
+ */
+export function closesRound(turn, rounds) {
+    return rounds > 0 && turn > 0 && turn % 2 === 0 && getRoundNumber(turn) <= rounds;
+}
+
+/**
+ * Check round scores from a judge or the wire, and total them.
+ * Only the players who spoke in the round may be scored; totals are always recomputed.
+ * @param {*} raw - {round, judge, scores: {[playerId]: {creativity, escalation, counterPlay}}}, or its JSON
+ * @param {object} expected
+ * @param {number} expected.round - Round the scores must be for
+ * @param {Array<string>} expected.speakerIds - Players who spoke in the round
+ * @returns {{round: number, judge: string, scores: Object<string, {creativity: number, escalation: number, counterPlay: number, total: number}>}|null} -
+ *   null when the scores don't belong to this round or miss a speaker
+ */
+export function normalizeRoundScores(raw, { round, speakerIds }) {
+    let data = raw;
+    if (typeof raw === 'string') {
+        try {
+            data = JSON.parse(raw);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!data || typeof data !== 'object' || Number(data.round) !== round || !data.scores) return null;
+
+    const scores = {};
+    for (const id of speakerIds) {
+        const entry = data.scores[id];
+        if (!entry || typeof entry !== 'object') return null;
+        scores[id] = {};
+        SCORE_CRITERIA.forEach(criterion => {
+            const value = Number(entry[criterion]);
+            scores[id][criterion] = Number.isFinite(value) ? Math.min(MAX_CRITERION_SCORE, Math.max(0, Math.round(value))) : 0;
+        });
+        scores[id].total = SCORE_CRITERIA.reduce((sum, criterion) => sum + scores[id][criterion], 0);
+    }
+    return { round, judge: typeof data.judge === 'string' ? data.judge : 'unknown', scores };
+}
+
+/**
+ * Winner of a round: a word left unanswered wins outright, otherwise the
+ * higher total, and on a tie the answer (the last word) beats the opening
+ * @param {object} scores - Normalized scores, by player ID
+ * @param {string} lastSpeakerId - Sender of the message that closed the round
+ * @returns {string}
+ */
+export function decideRound(scores, lastSpeakerId) {
+    const ids = Object.keys(scores);
+    if (ids.length < 2) return lastSpeakerId;
+    const [first, second] = ids[0] === lastSpeakerId ? [ids[1], ids[0]] : ids;
+    return scores[first].total > scores[second].total ? first : second;
+}
+
+/**
+ * Winner of the match once every round is scored: most rounds won, then most
+ * points, then whoever won the final round
+ * @param {Array<{winnerId: string, scores: object}>} results - Every round, in order
+ * @param {Array<string>} playerIds - Both combatants
+ * @returns {string}
+ */
+export function decideMatch(results, playerIds) {
+    const standings = getStandings(results, playerIds);
+    const [a, b] = playerIds;
+    if (standings[a].wins !== standings[b].wins) return standings[a].wins > standings[b].wins ? a : b;
+    if (standings[a].points !== standings[b].points) return standings[a].points > standings[b].points ? a : b;
+    return results[results.length - 1].winnerId;
+}
+
+/**
+ * Rounds won and points scored so far
+ * @param {Array<{winnerId: string, scores: object}>} results - Rounds scored so far
+ * @param {Array<string>} playerIds - Both combatants
+ * @returns {Object<string, {wins: number, points: number}>}
+ */
+export function getStandings(results, playerIds) {
+    const standings = {};
+    playerIds.forEach(id => {
+        standings[id] = { wins: 0, points: 0 };
+    });
+    results.forEach(({ winnerId, scores }) => {
+        if (standings[winnerId]) standings[winnerId].wins++;
+        Object.entries(scores).forEach(([id, { total }]) => {
+            if (standings[id]) standings[id].points += total;
+        });
+    });
+    return standings;
+}
@@ -0,0 +1,128 @@
+import { classifyMessage } from '../systems/RulesEngine.js';
+
+// Distance from the top of the screen, below the match menu and the sound controls
+const TOP_OFFSET = 112;
+
+const toCssColor = value => (typeof value === 'number' ? `#${value.toString(16).padStart(6, '0')}` : value);
+
+/**
+ * Side panel listing every message of the battle: sender, time, element and
+ * the colours of its box. The floating boxes are trimmed to the player's box
+ * limit; the log keeps everything. Picking an entry calls onSelect with the message ID.
+ */
+export class BattleLog {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object} options
+     * @param {Function} options.onSelect - Called with the ID of the message picked in the log
+     */
+    constructor(scene, { onSelect }) {
+        this.scene = scene;
+        this.onSelect = onSelect;
+        this.entries = [];
+        this.dom = null;
+    }
+
+    create() {
+        const panelHtml = `
+            <aside class="battle-log" aria-label="Battle log" hidden>
+                <h2>Battle log</h2>
+                <ol id="battleLogList"></ol>
+            </aside>
+        `;
+
+        this.dom = this.scene.add.dom(0, 0).createFromHTML(panelHtml);
+        this.dom.setOrigin(1, 0);
+        this.dom.setDepth(3100);
+
+        const reposition = (size) => this.dom.setPosition(size.width - 16, TOP_OFFSET);
+        reposition(this.scene.scale.gameSize);
+        this.scene.scale.on('resize', reposition);
+        this.repositionHandler = reposition;
+
+        this.panel = this.dom.node.querySelector('.battle-log');
+        this.list = this.dom.getChildByID('battleLogList');
+        this.entries.forEach(entry => this.renderEntry(entry));
+    }
+
+    /**
+     * Add a message to the log
+     * @param {object} meta - Message metadata from TalkJSService {id, senderName, plaintext, timestamp, rejected}
+     * @param {object|null} effects - Validated effects payload
+     */
+    add(meta, effects) {
+        if (this.entries.some(entry => entry.id === meta.id)) return;
+        const entry = {
+            id: meta.id,
+            senderName: meta.senderName,
+            text: meta.plaintext,
+            timestamp: meta.timestamp ?? Date.now(),
+            element: classifyMessage(meta.plaintext).element,
+            colors: effects?.colors ?? null,
+            rejected: Boolean(meta.rejected)
+        };
+        this.entries.push(entry);
+        this.renderEntry(entry);
+    }
+
+    renderEntry(entry) {
+        if (!this.list) return;
+        // Follow new messages unless the player has scrolled up to read older ones
+        const following = this.list.scrollTop + this.list.clientHeight >= this.list.scrollHeight - 8;
+
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = entry.rejected ? 'battle-log-entry rejected' : 'battle-log-entry';
+        button.addEventListener('click', () => this.onSelect(entry.id));
+
+        const swatch = document.createElement('span');
+        swatch.className = 'battle-log-swatch';
+        swatch.setAttribute('aria-hidden', 'true');
+        if (entry.colors) {
+            swatch.style.background = toCssColor(entry.colors.background);
+            swatch.style.borderColor = toCssColor(entry.colors.border);
+        }
+
+        const header = document.createElement('span');
+        header.className = 'battle-log-meta';
+        const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        header.textContent = [entry.senderName, time, entry.element ?? 'no element', entry.rejected ? 'out of turn' : null]
+            .filter(Boolean)
+            .join(' · ');
+
+        const text = document.createElement('span');
+        text.className = 'battle-log-text';
+        text.textContent = entry.text;
+
+        button.append(swatch, header, text);
+        item.appendChild(button);
+        this.list.appendChild(item);
+
+        if (following) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    toggle() {
+        if (!this.panel) return;
+        this.panel.hidden = !this.panel.hidden;
+        if (this.isOpen()) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+    }
+
+    destroy() {
+        if (this.dom) {
+            this.scene.scale.off('resize', this.repositionHandler);
+            this.dom.destroy();
+            this.dom = null;
+            this.panel = null;
+            this.list = null;
+        }
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Health bar drawn above a wizard
+ */
+export class HealthBar {
+    /**
+     * @param {Phaser.Scene} scene - The scene to draw in
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {string} name - Player name shown above the bar
+     */
+    constructor(scene, x, y, name) {
+        this.scene = scene;
+        this.width = 220;
+        this.height = 18;
+        this.value = 1;
+
+        this.gfx = scene.add.graphics().setDepth(900);
+        this.label = scene.add.text(x, y - 22, name, {
+            fontSize: '18px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(901);
+        this.hpText = scene.add.text(x, y, '', {
+            fontSize: '14px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5).setDepth(901);
+
+        this.setPosition(x, y);
+    }
+
+    /**
+     * Move the bar
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     */
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+        this.label.setPosition(x, y - 22);
+        this.hpText.setPosition(x, y);
+        this.draw();
+    }
+
+    /**
+     * Update the displayed hit points
+     * @param {number} hp - Current hit points
+     * @param {number} maxHp - Maximum hit points
+     * @param {boolean} guarded - Whether the wizard has a guard raised
+     */
+    setHealth(hp, maxHp, guarded = false) {
+        this.value = Math.max(0, hp / maxHp);
+        this.guarded = guarded;
+        this.hpText.setText(`${hp} / ${maxHp}`);
+        this.draw();
+    }
+
+    draw() {
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+
+        // Green above half, amber above a quarter, red below
+        const fillColor = this.value > 0.5 ? 0x22c55e : this.value > 0.25 ? 0xf59e0b : 0xef4444;
+
+        this.gfx.clear();
+        this.gfx.fillStyle(0x000000, 0.6);
+        this.gfx.fillRoundedRect(left - 2, top - 2, this.width + 4, this.height + 4, 6);
+        this.gfx.fillStyle(fillColor, 1);
+        if (this.value > 0) {
+            this.gfx.fillRoundedRect(left, top, Math.max(8, this.width * this.value), this.height, 5);
+        }
+        this.gfx.lineStyle(2, this.guarded ? 0x3b82f6 : 0xffffff, 1);
+        this.gfx.strokeRoundedRect(left - 2, top - 2, this.width + 4, this.height + 4, 6);
+    }
+
+    destroy() {
+        this.gfx.destroy();
+        this.label.destroy();
+        this.hpText.destroy();
+    }
+}
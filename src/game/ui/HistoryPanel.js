@@ -0,0 +1,99 @@
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 100;
+
+/**
+ * Text history of the battle, for players who can't follow the canvas.
+ * Hidden until opened (Alt+Shift+H); Escape closes it and hands focus back.
+ */
+export class HistoryPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.entries = [];
+        this.dom = null;
+        this.returnFocus = null;
+    }
+
+    create() {
+        const panelHtml = `
+            <section class="history-panel" role="dialog" aria-label="Battle history" hidden>
+                <h2>Battle history</h2>
+                <ol id="historyList" tabindex="-1"></ol>
+                <button type="button" id="historyClose">Close</button>
+            </section>
+        `;
+
+        this.dom = this.scene.add.dom(0, 0).createFromHTML(panelHtml);
+        this.dom.setOrigin(0, 0);
+        this.dom.setDepth(3200);
+
+        const reposition = () => this.dom.setPosition(16, 16);
+        reposition();
+        this.scene.scale.on('resize', reposition);
+        this.repositionHandler = reposition;
+
+        this.panel = this.dom.node.querySelector('.history-panel');
+        this.list = this.dom.getChildByID('historyList');
+        this.dom.getChildByID('historyClose').addEventListener('click', () => this.close());
+        this.panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        });
+        this.entries.forEach(entry => this.renderEntry(entry));
+    }
+
+    /**
+     * Add a line to the history
+     * @param {string} text - e.g. "Alice, fire attack: Fireball!"
+     */
+    add(text) {
+        this.entries.push(text);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+            this.list?.firstElementChild?.remove();
+        }
+        this.renderEntry(text);
+    }
+
+    renderEntry(text) {
+        if (!this.list) return;
+        const item = document.createElement('li');
+        item.textContent = text.replace(/\s*\n\s*/g, ' ');
+        this.list.appendChild(item);
+    }
+
+    isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.panel) return;
+        this.returnFocus = document.activeElement;
+        this.panel.hidden = false;
+        this.list.lastElementChild?.scrollIntoView({ block: 'end' });
+        this.list.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.panel.hidden = true;
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
+    }
+
+    destroy() {
+        if (this.dom) {
+            this.scene.scale.off('resize', this.repositionHandler);
+            this.dom.destroy();
+            this.dom = null;
+            this.panel = null;
+            this.list = null;
+        }
+    }
+}
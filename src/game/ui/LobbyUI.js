@@ -0,0 +1,207 @@
+import { DEFAULT_MATCH_SETTINGS } from '../systems/matchSettings.js';
+
+// Turn time choices in seconds, 0 for no limit
+const TURN_TIME_OPTIONS = [0, 30, 60, 120];
+// Judged rounds per match, 0 to fight until a knockout
+const ROUND_OPTIONS = [0, 3, 5, 10];
+
+/**
+ * Lobby overlay: pick a display name, then create a room or join one by code
+ */
+export class LobbyUI {
+    constructor(scene) {
+        this.scene = scene;
+        this.dom = null;
+        this.onSubmit = null;
+        this.onBack = null;
+    }
+
+    /**
+     * Show the lobby form
+     * @param {object} options
+     * @param {string} options.name - Pre-filled display name
+     * @param {string|null} options.code - Pre-filled room code (e.g. from a shared link)
+     * @param {Function} options.onSubmit - Called with {name, mode, code, settings}; mode is 'create' or 'join',
+     *   settings are the match settings for a new room.
+     *   May return (a promise of) {error, message} to show an error instead of leaving the lobby.
+     * @param {Function} options.onBack - Optional, adds a Back button that calls it
+     */
+    show({ name = '', code = null, onSubmit, onBack = null }) {
+        this.destroy();
+        this.onSubmit = onSubmit;
+        this.onBack = onBack;
+
+        const turnTimeOptions = TURN_TIME_OPTIONS
+            .map(seconds => {
+                const selected = seconds === DEFAULT_MATCH_SETTINGS.turnTimeLimit ? ' selected' : '';
+                return `<option value="${seconds}"${selected}>${seconds ? `${seconds}s per turn` : 'No time limit'}</option>`;
+            })
+            .join('');
+        const timeoutOptions = [['skip', 'Skip the turn'], ['forfeit', 'Forfeit the match']]
+            .map(([value, label]) => {
+                const selected = value === DEFAULT_MATCH_SETTINGS.onTimeout ? ' selected' : '';
+                return `<option value="${value}"${selected}>${label}</option>`;
+            })
+            .join('');
+
+        const roundOptions = ROUND_OPTIONS
+            .map(rounds => {
+                const selected = rounds === DEFAULT_MATCH_SETTINGS.rounds ? ' selected' : '';
+                return `<option value="${rounds}"${selected}>${rounds ? `${rounds} judged rounds` : 'Until knockout'}</option>`;
+            })
+            .join('');
+
+        const lobbyHtml = `
+            <div class="lobby-panel">
+                <h1>The Last Word</h1>
+                <label for="lobbyName">Display name</label>
+                <input type="text" id="lobbyName" maxlength="24" placeholder="Your wizard name" />
+                <div class="lobby-row">
+                    <select id="lobbyTurnTime" title="Turn time">${turnTimeOptions}</select>
+                    <select id="lobbyTimeout" title="When time runs out">${timeoutOptions}</select>
+                </div>
+                <select id="lobbyRounds" title="Rounds">${roundOptions}</select>
+                <button type="button" id="lobbyCreate">Create room</button>
+                <div class="lobby-divider">or join a friend</div>
+                <div class="lobby-row">
+                    <input type="text" id="lobbyCode" maxlength="6" placeholder="Room code" />
+                    <button type="button" id="lobbyJoin">Join</button>
+                </div>
+                <p class="lobby-error" id="lobbyError"></p>
+            </div>
+        `;
+
+        this.dom = this.scene.add.dom(0, 0).createFromHTML(lobbyHtml);
+        this.dom.setOrigin(0.5);
+        this.dom.setDepth(3000);
+
+        const reposition = (size) => this.dom.setPosition(size.width / 2, size.height / 2);
+        reposition(this.scene.scale.gameSize);
+        this.scene.scale.on('resize', reposition);
+        this.repositionHandler = reposition;
+
+        const nameInput = this.dom.getChildByID('lobbyName');
+        const codeInput = this.dom.getChildByID('lobbyCode');
+        nameInput.value = name;
+        codeInput.value = code || '';
+
+        this.dom.getChildByID('lobbyCreate').addEventListener('click', () => this.submit('create'));
+        this.dom.getChildByID('lobbyJoin').addEventListener('click', () => this.submit('join'));
+        codeInput.addEventListener('keypress', (event) => {
+            if (event.key === 'Enter') this.submit('join');
+        });
+
+        this.addBackButton();
+        (name ? codeInput : nameInput).focus();
+    }
+
+    async submit(mode) {
+        const name = this.dom.getChildByID('lobbyName').value.trim();
+        const code = this.dom.getChildByID('lobbyCode').value.trim();
+
+        if (!name) {
+            this.showError('Pick a display name first.');
+            return;
+        }
+        if (mode === 'join' && !code) {
+            this.showError('Enter the room code you were given.');
+            return;
+        }
+
+        const settings = mode === 'create'
+            ? {
+                turnTimeLimit: Number(this.dom.getChildByID('lobbyTurnTime').value),
+                onTimeout: this.dom.getChildByID('lobbyTimeout').value,
+                rounds: Number(this.dom.getChildByID('lobbyRounds').value)
+            }
+            : null;
+
+        this.setBusy(true);
+        const result = await this.onSubmit({ name, mode, code, settings });
+        if (!this.dom) return;
+        this.setBusy(false);
+
+        if (result?.error) {
+            this.showError(result.message);
+        }
+    }
+
+    /**
+     * Replace the form with the room code while waiting for an opponent
+     * @param {string} code - Room code
+     * @param {string} link - Shareable link to the room
+     */
+    showWaiting(code, link) {
+        if (!this.dom) return;
+
+        this.dom.getChildByID('lobbyError').textContent = '';
+        this.dom.node.querySelector('.lobby-panel').innerHTML = `
+            <h1>Room ${code}</h1>
+            <p>Share this code or link with your opponent:</p>
+            <input type="text" id="lobbyLink" readonly value="${link}" />
+            <button type="button" id="lobbyCopy">Copy link</button>
+            <p class="lobby-status">Waiting for an opponent to join...</p>
+        `;
+
+        const linkInput = this.dom.getChildByID('lobbyLink');
+        this.dom.getChildByID('lobbyCopy').addEventListener('click', () => {
+            linkInput.select();
+            navigator.clipboard?.writeText(link);
+        });
+        this.addBackButton();
+    }
+
+    /**
+     * Replace the form with a status message (e.g. while a spectator waits for the players)
+     * @param {string} title - Panel heading
+     * @param {string} text - Status line
+     */
+    showStatus(title, text) {
+        if (!this.dom) return;
+
+        const panel = this.dom.node.querySelector('.lobby-panel');
+        panel.innerHTML = `
+            <h1></h1>
+            <p class="lobby-status"></p>
+        `;
+        panel.querySelector('h1').textContent = title;
+        panel.querySelector('.lobby-status').textContent = text;
+        this.addBackButton();
+    }
+
+    addBackButton() {
+        if (!this.onBack) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'lobby-back';
+        button.textContent = 'Back';
+        button.addEventListener('click', () => this.onBack());
+        this.dom.node.querySelector('.lobby-panel').appendChild(button);
+    }
+
+    /**
+     * Show an error under the form
+     * @param {string} message
+     */
+    showError(message) {
+        const error = this.dom?.getChildByID('lobbyError');
+        if (error) error.textContent = message;
+    }
+
+    setBusy(busy) {
+        this.dom.node.querySelectorAll('button, input, select').forEach(element => {
+            element.disabled = busy;
+        });
+    }
+
+    /**
+     * Remove the lobby overlay
+     */
+    destroy() {
+        if (this.dom) {
+            this.scene.scale.off('resize', this.repositionHandler);
+            this.dom.destroy();
+            this.dom = null;
+        }
+    }
+}
@@ -0,0 +1,94 @@
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * DOM transport controls for the Replay scene:
+ * previous/next message, play/pause, speed and a scrub bar
+ */
+export class ReplayControls {
+    constructor(scene) {
+        this.scene = scene;
+        this.dom = null;
+        this.scrubbing = false;
+    }
+
+    /**
+     * Create the control bar
+     * @param {object} handlers
+     * @param {Function} handlers.onTogglePlay - Play/pause pressed
+     * @param {Function} handlers.onStep - Step pressed (receives -1 or 1)
+     * @param {Function} handlers.onSpeed - Speed changed (receives the multiplier)
+     * @param {Function} handlers.onScrub - Scrub bar moved (receives the time in ms)
+     * @param {Function} handlers.onExit - Back pressed
+     * @param {Function} handlers.onSettings - Settings pressed
+     * @param {number} duration - Length of the timeline in ms
+     */
+    create({ onTogglePlay, onStep, onSpeed, onScrub, onExit, onSettings }, duration) {
+        const speedOptions = REPLAY_SPEEDS
+            .map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`)
+            .join('');
+
+        const controlsHtml = `
+            <div class="replay-controls">
+                <button type="button" id="replayBack" title="Back">&#x2715;</button>
+                <button type="button" id="replayPrev" title="Previous message">&#x23EE;</button>
+                <button type="button" id="replayPlay" title="Play/pause">&#x23F8;</button>
+                <button type="button" id="replayNext" title="Next message">&#x23ED;</button>
+                <input type="range" id="replayScrub" min="0" max="${duration}" step="10" value="0" />
+                <span id="replayTime">0:00</span>
+                <select id="replaySpeed" title="Speed">${speedOptions}</select>
+                <button type="button" id="replaySettings" title="Settings">&#x2699;</button>
+            </div>
+        `;
+
+        this.dom = this.scene.add.dom(0, 0).createFromHTML(controlsHtml);
+        this.dom.setOrigin(0.5, 1);
+        this.dom.setDepth(3000);
+
+        const reposition = (size) => this.dom.setPosition(size.width / 2, size.height - 20);
+        reposition(this.scene.scale.gameSize);
+        this.scene.scale.on('resize', reposition);
+        this.repositionHandler = reposition;
+
+        this.dom.getChildByID('replayBack').addEventListener('click', onExit);
+        this.dom.getChildByID('replayPrev').addEventListener('click', () => onStep(-1));
+        this.dom.getChildByID('replayNext').addEventListener('click', () => onStep(1));
+        this.dom.getChildByID('replayPlay').addEventListener('click', onTogglePlay);
+        this.dom.getChildByID('replaySettings').addEventListener('click', onSettings);
+        this.dom.getChildByID('replaySpeed').addEventListener('change', (event) => {
+            onSpeed(Number(event.target.value));
+        });
+
+        const scrub = this.dom.getChildByID('replayScrub');
+        scrub.addEventListener('input', () => {
+            this.scrubbing = true;
+            onScrub(Number(scrub.value));
+        });
+        scrub.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+    }
+
+    /**
+     * Reflect the playback state
+     * @param {number} time - Playhead in ms
+     * @param {boolean} playing - Whether playback is running
+     */
+    update(time, playing) {
+        if (!this.dom) return;
+
+        if (!this.scrubbing) {
+            this.dom.getChildByID('replayScrub').value = time;
+        }
+        const seconds = Math.floor(time / 1000);
+        this.dom.getChildByID('replayTime').textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        this.dom.getChildByID('replayPlay').innerHTML = playing ? '&#x23F8;' : '&#x25B6;';
+    }
+
+    destroy() {
+        if (this.dom) {
+            this.scene.scale.off('resize', this.repositionHandler);
+            this.dom.destroy();
+            this.dom = null;
+        }
+    }
+}
@@ -1,3 +1,15 @@
+// Keyboard shortcuts (Alt+Shift+key, so they work while typing and don't clash with browser menus)
+export const SHORTCUTS = {
+    focusInput: { code: 'KeyI', label: 'Alt+Shift+I' },
+    history: { code: 'KeyH', label: 'Alt+Shift+H' },
+    battleLog: { code: 'KeyL', label: 'Alt+Shift+L' },
+    settings: { code: 'KeyS', label: 'Alt+Shift+S' },
+    highContrast: { code: 'KeyC', label: 'Alt+Shift+C' }
+};
+
+// Sent messages kept for the Up and Down arrows
+const MAX_INPUT_HISTORY = 50;
+
 /**
  * UI Manager for handling input box and user interface elements
  */
@@ -6,21 +18,28 @@ export class UIManager {
         this.scene = scene;
         this.inputBoxPosition = { x: 0, y: 0 };
         this.dom = null;
+        this.resizeHandlers = []; // Removed again in destroy(); the ScaleManager is shared by every scene
     }
 
     /**
      * Create and setup the input box
-     * @param {Function} onMessageSend - Callback when user sends a message
+     * @param {Function} onMessageSend - Callback when user sends a message (receives the text and {regenerate},
+     *   which is true for Shift+Enter)
+     * @param {CommandRegistry|null} commands - Slash commands to autocomplete (Tab and Shift+Tab cycle through them)
      * @returns {object} - Input box position {x, y}
      */
-    createInputBox(onMessageSend) {
+    createInputBox(onMessageSend, commands = null) {
         const inputHtml = `
             <div class="menu-input">
-                <input type="text" id="textInput" placeholder="Type here and press Enter..." />
+                <ul id="commandSuggestions" class="command-suggestions" role="listbox" aria-label="Commands" hidden></ul>
+                <input type="text" id="textInput" placeholder="Type here and press Enter..." aria-label="Cast a spell"
+                    aria-keyshortcuts="${SHORTCUTS.focusInput.label}" aria-autocomplete="list" aria-controls="commandSuggestions"
+                    title="Shift+Enter generates fresh effects. Up/Down: earlier messages, / for commands. ${SHORTCUTS.focusInput.label}: focus this box, ${SHORTCUTS.history.label}: battle history, ${SHORTCUTS.battleLog.label}: battle log, ${SHORTCUTS.settings.label}: settings, ${SHORTCUTS.highContrast.label}: high contrast" />
             </div>
         `;
         
         this.dom = this.scene.add.dom(0, 0).createFromHTML(inputHtml);
+        this.commands = commands;
         const bottomOffset = 40;
         
         const repositionInput = (size) => {
@@ -35,13 +54,14 @@ export class UIManager {
         this.dom.setOrigin(0.5, 1);
         this.dom.setDepth(5);
         repositionInput(this.scene.scale.gameSize);
-        this.scene.scale.on('resize', repositionInput);
+        this.onResize(repositionInput);
         
-        // Initialize position
-        this.inputBoxPosition = {
-            x: window.innerWidth / 2,
-            y: window.innerHeight - bottomOffset
-        };
+        // Sent messages, oldest first; historyIndex === inputHistory.length while editing a new one
+        this.inputHistory = [];
+        this.historyIndex = 0;
+        this.historyDraft = '';
+        this.suggestions = [];
+        this.selectedSuggestion = -1;
         
         // Setup input event listener
         const inputElement = this.dom.getChildByID('textInput');
@@ -49,23 +69,273 @@ export class UIManager {
             if (event.key === 'Enter') {
                 const inputValue = inputElement.value.trim();
                 if (inputValue) {
-                    onMessageSend(inputValue);
+                    this.rememberInput(inputValue);
+                    this.hideSuggestions();
+                    onMessageSend(inputValue, { regenerate: event.shiftKey });
                     inputElement.value = '';
                 }
             }
         });
+        inputElement.addEventListener('keydown', (event) => {
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+            if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+                event.preventDefault();
+                this.browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+            } else if (event.key === 'Tab' && this.suggestions.length > 0) {
+                event.preventDefault();
+                this.cycleSuggestions(event.shiftKey ? -1 : 1);
+            } else if (event.key === 'Escape') {
+                this.hideSuggestions();
+            }
+        });
+        inputElement.addEventListener('input', () => this.showSuggestions(this.commands?.complete(inputElement.value) ?? []));
+        inputElement.addEventListener('blur', () => this.hideSuggestions());
         
         return this.inputBoxPosition;
     }
 
+    /**
+     * Add a sent message to the input history (Up and Down arrows)
+     * @param {string} text
+     */
+    rememberInput(text) {
+        if (this.inputHistory[this.inputHistory.length - 1] !== text) {
+            this.inputHistory.push(text);
+            if (this.inputHistory.length > MAX_INPUT_HISTORY) {
+                this.inputHistory.shift();
+            }
+        }
+        this.historyIndex = this.inputHistory.length;
+        this.historyDraft = '';
+    }
+
+    /**
+     * Step through the input history; stepping past the newest entry brings back what was being typed
+     * @param {number} step - -1 for older, 1 for newer
+     */
+    browseHistory(step) {
+        const index = this.historyIndex + step;
+        if (index < 0 || index > this.inputHistory.length) return;
+
+        const inputElement = this.dom.getChildByID('textInput');
+        if (this.historyIndex === this.inputHistory.length) {
+            this.historyDraft = inputElement.value;
+        }
+        this.historyIndex = index;
+        inputElement.value = index === this.inputHistory.length ? this.historyDraft : this.inputHistory[index];
+        inputElement.setSelectionRange(inputElement.value.length, inputElement.value.length);
+        this.hideSuggestions();
+    }
+
+    /**
+     * List completions above the input box
+     * @param {Array<{value: string, label: string, description: string}>} suggestions - See CommandRegistry.complete
+     */
+    showSuggestions(suggestions) {
+        const list = this.dom?.getChildByID('commandSuggestions');
+        if (!list) return;
+
+        this.suggestions = suggestions;
+        this.selectedSuggestion = -1;
+        list.replaceChildren(...suggestions.map((suggestion, index) => {
+            const item = document.createElement('li');
+            item.id = `commandSuggestion${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            const label = document.createElement('strong');
+            label.textContent = suggestion.label;
+            item.append(label, suggestion.description ? ` ${suggestion.description}` : '');
+            // mousedown rather than click, so the input box keeps focus
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.fillInput(suggestion.value);
+                this.showSuggestions(this.commands?.complete(suggestion.value) ?? []);
+            });
+            return item;
+        }));
+        list.hidden = suggestions.length === 0;
+        this.dom.getChildByID('textInput').removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * List every command above the input box (for /help)
+     */
+    showCommandHelp() {
+        this.showSuggestions(this.commands?.complete('/') ?? []);
+    }
+
+    hideSuggestions() {
+        this.showSuggestions([]);
+    }
+
+    /**
+     * Fill the input box with the next (or previous) completion
+     * @param {number} step - 1 for the next, -1 for the previous
+     */
+    cycleSuggestions(step) {
+        const count = this.suggestions.length;
+        this.selectedSuggestion = this.selectedSuggestion === -1 && step < 0
+            ? count - 1
+            : (this.selectedSuggestion + step + count) % count;
+
+        const items = this.dom.getChildByID('commandSuggestions').children;
+        [...items].forEach((item, index) => item.setAttribute('aria-selected', String(index === this.selectedSuggestion)));
+        this.dom.getChildByID('textInput').setAttribute('aria-activedescendant', `commandSuggestion${this.selectedSuggestion}`);
+        this.fillInput(this.suggestions[this.selectedSuggestion].value);
+    }
+
+    /**
+     * Replace the input box contents, with the caret at the end
+     * @param {string} value
+     */
+    fillInput(value) {
+        const inputElement = this.dom.getChildByID('textInput');
+        inputElement.value = value;
+        inputElement.setSelectionRange(value.length, value.length);
+        this.historyIndex = this.inputHistory.length;
+    }
+
+    /**
+     * Listen for the keyboard shortcuts
+     * @param {object} handlers - Callbacks keyed like SHORTCUTS (focusInput, history, settings, highContrast); missing ones are ignored
+     */
+    bindShortcuts(handlers) {
+        this.shortcutHandler = (event) => {
+            if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return;
+            const name = Object.keys(SHORTCUTS).find(key => SHORTCUTS[key].code === event.code);
+            if (!name || !handlers[name]) return;
+            event.preventDefault();
+            handlers[name]();
+        };
+        window.addEventListener('keydown', this.shortcutHandler);
+    }
+
+    /**
+     * Move keyboard focus to the input box
+     * @returns {boolean} - false if there is no input box or it is disabled (not your turn)
+     */
+    focusInput() {
+        const inputElement = this.dom?.getChildByID('textInput');
+        if (!inputElement || inputElement.disabled) return false;
+        inputElement.focus();
+        return true;
+    }
+
+    /**
+     * Create the Battle log, Settings and Export/Import match buttons in the top-right corner
+     * @param {Function} onExport - Called when "Export match" is pressed
+     * @param {Function} onImport - Called with the File chosen through "Import match"
+     * @param {Function} onSettings - Called when "Settings" is pressed
+     * @param {Function} onBattleLog - Called when "Battle log" is pressed
+     */
+    createMatchMenu(onExport, onImport, onSettings, onBattleLog) {
+        const menuHtml = `
+            <div class="match-menu">
+                <button type="button" id="toggleBattleLog" class="game-button" aria-keyshortcuts="${SHORTCUTS.battleLog.label}">Battle log</button>
+                <button type="button" id="openSettings" class="game-button" aria-keyshortcuts="${SHORTCUTS.settings.label}">Settings</button>
+                <button type="button" id="exportMatch" class="game-button">Export match</button>
+                <label class="game-button">
+                    Import match
+                    <input type="file" id="importMatch" accept="application/json,.json" hidden />
+                </label>
+            </div>
+        `;
+        
+        this.matchMenu = this.scene.add.dom(0, 0).createFromHTML(menuHtml);
+        this.matchMenu.setOrigin(1, 0);
+        this.matchMenu.setDepth(3100);
+        
+        const repositionMenu = (size) => this.matchMenu.setPosition(size.width - 16, 16);
+        repositionMenu(this.scene.scale.gameSize);
+        this.onResize(repositionMenu);
+        
+        this.matchMenu.getChildByID('openSettings').addEventListener('click', onSettings);
+        this.matchMenu.getChildByID('toggleBattleLog').addEventListener('click', onBattleLog);
+        this.matchMenu.getChildByID('exportMatch').addEventListener('click', onExport);
+        const fileInput = this.matchMenu.getChildByID('importMatch');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                onImport(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * Enable or disable the Export match button
+     * @param {boolean} enabled
+     */
+    setExportEnabled(enabled) {
+        const button = this.matchMenu?.getChildByID('exportMatch');
+        if (button) button.disabled = !enabled;
+    }
+
+    /**
+     * Create the mute button and volume slider under the match menu
+     * @param {{volume: number, muted: boolean}} settings - Current audio settings
+     * @param {Function} onChange - Receives the changed settings, {volume} or {muted}
+     */
+    createSoundControls(settings, onChange) {
+        const controlsHtml = `
+            <div class="sound-controls">
+                <button type="button" id="muteSound" class="game-button"></button>
+                <input type="range" id="soundVolume" min="0" max="100" aria-label="Volume" />
+            </div>
+        `;
+
+        this.soundControls = this.scene.add.dom(0, 0).createFromHTML(controlsHtml);
+        this.soundControls.setOrigin(1, 0);
+        this.soundControls.setDepth(3100);
+
+        const repositionControls = (size) => this.soundControls.setPosition(size.width - 16, 64);
+        repositionControls(this.scene.scale.gameSize);
+        this.onResize(repositionControls);
+
+        const muteButton = this.soundControls.getChildByID('muteSound');
+        const volumeSlider = this.soundControls.getChildByID('soundVolume');
+        let muted = settings.muted;
+        const showMuted = () => {
+            muteButton.textContent = muted ? 'Sound off' : 'Sound on';
+            muteButton.setAttribute('aria-pressed', String(muted));
+        };
+        showMuted();
+        volumeSlider.value = String(Math.round(settings.volume * 100));
+
+        muteButton.addEventListener('click', () => {
+            muted = !muted;
+            showMuted();
+            onChange({ muted });
+        });
+        volumeSlider.addEventListener('input', () => onChange({ volume: Number(volumeSlider.value) / 100 }));
+    }
+
     /**
      * Clean up the input box
      */
     destroy() {
+        this.resizeHandlers.forEach(handler => this.scene.scale.off('resize', handler));
+        this.resizeHandlers = [];
         if (this.dom) {
-            this.scene.scale.off('resize');
             this.dom.destroy();
         }
+        if (this.matchMenu) {
+            this.matchMenu.destroy();
+        }
+        if (this.soundControls) {
+            this.soundControls.destroy();
+        }
+        if (this.shortcutHandler) {
+            window.removeEventListener('keydown', this.shortcutHandler);
+        }
+    }
+
+    /**
+     * Listen for resizes until destroy()
+     * @param {Function} handler - Receives the new game size
+     */
+    onResize(handler) {
+        this.scene.scale.on('resize', handler);
+        this.resizeHandlers.push(handler);
     }
 
     /**
@@ -85,7 +355,9 @@ export class UIManager {
         
         const inputElement = this.dom.getChildByID('textInput');
         if (inputElement) {
-            inputElement.disabled = !enabled;
+            // With commands, the box stays usable between turns for those that don't need the turn (e.g. /forfeit)
+            const commandsOnly = !enabled && Boolean(this.commands);
+            inputElement.disabled = !enabled && !commandsOnly;
             
             // Update visual feedback
             if (enabled) {
@@ -94,8 +366,8 @@ export class UIManager {
                 inputElement.placeholder = 'Type here and press Enter...';
             } else {
                 inputElement.style.opacity = '0.5';
-                inputElement.style.cursor = 'not-allowed';
-                inputElement.placeholder = 'Waiting for opponent...';
+                inputElement.style.cursor = commandsOnly ? 'text' : 'not-allowed';
+                inputElement.placeholder = commandsOnly ? 'Waiting for opponent... (type / for commands)' : 'Waiting for opponent...';
             }
         }
     }
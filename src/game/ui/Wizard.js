@@ -0,0 +1,283 @@
+const MANIFEST_KEY = 'wizardAnimations';
+const MANIFEST_URL = 'assets/wizard_animations.json';
+
+export const WIZARD_STATES = ['idle', 'casting', 'hit', 'defending', 'victory', 'defeated'];
+
+// Default tint per side so the two wizards are easy to tell apart
+export const WIZARD_TINTS = { left: 0xbfdbfe, right: 0xfecaca };
+
+// States that play once and then return to idle (or defending while guarded), in ms
+const TRANSIENT_STATES = { casting: 600, hit: 500 };
+// Final states; nothing overrides them
+const FINAL_STATES = ['victory', 'defeated'];
+// Time from the cast to the target flinching when there's no projectile to wait for
+const IMPACT_DELAY = 600;
+
+/**
+ * Play a resolved battle message on the two wizards
+ * @param {Wizard} caster
+ * @param {Wizard} target
+ * @param {object} result - Result of BattleState.applyMessage()
+ * @param {object} options
+ * @param {boolean} options.silent - Only settle into the resulting states (restoring or seeking), without cast and hit animations
+ * @param {Function} options.landed - Registers a callback to run when the spell reaches the target
+ *   (default: after IMPACT_DELAY)
+ */
+export function playBattleResult(caster, target, result, { silent = false, landed = null } = {}) {
+    if (!caster || !target || !result) return;
+
+    const settle = () => {
+        if (result.ko) {
+            caster.setState('victory');
+            target.setState('defeated');
+        } else if (result.damage > 0 && !silent) {
+            target.setState('hit');
+        } else {
+            // Every attack uses up the target's guard, whether or not it hurt
+            target.dropGuard();
+        }
+    };
+
+    if (silent) {
+        if (result.guard > 0) {
+            caster.raiseGuard();
+        } else {
+            settle();
+        }
+        return;
+    }
+
+    caster.setState('casting');
+    if (result.guard > 0) {
+        caster.raiseGuard();
+        return;
+    }
+    (landed ?? (callback => caster.scene.time.delayedCall(IMPACT_DELAY, callback)))(settle);
+}
+
+export class Wizard {
+    /**
+     * Queue the wizard textures, the animation manifest and any spritesheets it lists
+     * @param {Phaser.Scene} scene - Scene in its preload phase
+     */
+    static preload(scene) {
+        if (!scene.textures.exists('wizard 1')) {
+            scene.load.image('wizard 1', 'assets/wizard_idle_1.png');
+            scene.load.image('wizard 2', 'assets/wizard_idle_2.png');
+        }
+        if (scene.cache.json.exists(MANIFEST_KEY)) return;
+
+        scene.load.once(`filecomplete-json-${MANIFEST_KEY}`, (key, type, manifest) => {
+            Object.entries(manifest?.skins || {}).forEach(([skin, states]) => {
+                Object.entries(states).forEach(([state, sheet]) => {
+                    scene.load.spritesheet(`${skin}-${state}-sheet`, `assets/${sheet.file}`, {
+                        frameWidth: sheet.frameWidth,
+                        frameHeight: sheet.frameHeight
+                    });
+                });
+            });
+        });
+        scene.load.json(MANIFEST_KEY, MANIFEST_URL);
+    }
+
+    /**
+     * Register the animations once the textures are loaded (safe to call from every scene)
+     * @param {Phaser.Scene} scene - Scene in its create phase
+     */
+    static createAnimations(scene) {
+        const manifest = scene.cache.json.get(MANIFEST_KEY);
+        Object.entries(manifest?.skins || {}).forEach(([skin, states]) => {
+            Object.entries(states).forEach(([state, sheet]) => {
+                const key = `${skin}-${state}`;
+                const textureKey = `${key}-sheet`;
+                if (scene.anims.exists(key) || !scene.textures.exists(textureKey)) return;
+                scene.anims.create({
+                    key,
+                    frames: scene.anims.generateFrameNumbers(textureKey),
+                    frameRate: sheet.frameRate ?? 12,
+                    repeat: sheet.repeat ?? (TRANSIENT_STATES[state] ? 0 : -1)
+                });
+            });
+        });
+
+        // The two idle images double as the default idle animation
+        if (!scene.anims.exists('wizard-idle')) {
+            scene.anims.create({
+                key: 'wizard-idle',
+                frames: [{ key: 'wizard 1' }, { key: 'wizard 2' }],
+                frameRate: 2,
+                repeat: -1
+            });
+        }
+    }
+
+    /**
+     * @param {Phaser.Scene} scene - The scene to draw in
+     * @param {object} options
+     * @param {string} options.skin - Animation key prefix from the manifest (default 'wizard')
+     * @param {number|null} options.tint - Tint telling the two wizards apart
+     * @param {boolean} options.flipX - Face left (the right-hand wizard)
+     */
+    constructor(scene, { skin = 'wizard', tint = null, flipX = false } = {}) {
+        this.scene = scene;
+        this.skin = skin;
+        this.tint = tint;
+        this.flipX = flipX;
+        this.base = { x: 0, y: 0, scale: 1 };
+        this.state = 'idle';
+        this.guarding = false;
+        this.tweens = [];
+        this.timer = null; // Returns a transient state to idle
+        this.flashTimer = null; // Turns the white hit flash red
+
+        this.sprite = scene.add.sprite(0, 0, 'wizard 1').setFlipX(flipX);
+        this.setState('idle');
+    }
+
+    get x() {
+        return this.base.x;
+    }
+
+    get y() {
+        return this.base.y;
+    }
+
+    get displayHeight() {
+        return this.sprite.height * this.base.scale;
+    }
+
+    /**
+     * Move and scale the wizard (e.g. when the arena mapping changes)
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @param {number} scale - Sprite scale
+     */
+    setLayout(x, y, scale) {
+        this.base = { x, y, scale };
+        this.applyState();
+    }
+
+    /**
+     * Switch state. Casting and hit return to idle (or defending) by themselves;
+     * victory and defeated are final.
+     * @param {string} state - One of WIZARD_STATES
+     */
+    setState(state) {
+        if (FINAL_STATES.includes(this.state) || !WIZARD_STATES.includes(state)) return;
+
+        if (state === 'defending') this.guarding = true;
+        // A hit uses up the guard
+        if (state === 'hit') this.guarding = false;
+
+        this.state = state;
+        this.applyState();
+    }
+
+    /**
+     * Keep guarding after the current state (shows as defending when idle)
+     */
+    raiseGuard() {
+        this.guarding = true;
+        if (this.state === 'idle') this.setState('defending');
+    }
+
+    /**
+     * Stop guarding without a hit animation
+     */
+    dropGuard() {
+        this.guarding = false;
+        if (this.state === 'defending') this.setState('idle');
+    }
+
+    /**
+     * Back to idle from any state, final ones included (e.g. when a replay seeks backwards)
+     */
+    resetState() {
+        this.state = 'idle';
+        this.guarding = false;
+        this.applyState();
+    }
+
+    applyState() {
+        const state = this.state;
+        this.reset();
+
+        const animationKey = `${this.skin}-${state}`;
+        if (this.scene.anims.exists(animationKey)) {
+            this.sprite.play(animationKey);
+        } else {
+            this.sprite.play(this.scene.anims.exists(`${this.skin}-idle`) ? `${this.skin}-idle` : 'wizard-idle');
+            this.playProcedural(state);
+        }
+
+        if (TRANSIENT_STATES[state]) {
+            this.timer = this.scene.time.delayedCall(TRANSIENT_STATES[state], () => {
+                this.timer = null;
+                this.state = this.guarding ? 'defending' : 'idle';
+                this.applyState();
+            });
+        }
+    }
+
+    /**
+     * Tween-based stand-in for a state without a spritesheet
+     * @param {string} state
+     */
+    playProcedural(state) {
+        const { x, y, scale } = this.base;
+        const tween = config => this.tweens.push(this.scene.tweens.add({ targets: this.sprite, ...config }));
+
+        if (state === 'casting') {
+            // Squash and stretch with a bright flash
+            this.sprite.setTint(0xfff7ae);
+            tween({ scaleX: scale * 0.92, scaleY: scale * 1.12, duration: 150, yoyo: true, repeat: 1, ease: 'Sine.easeInOut' });
+        } else if (state === 'hit') {
+            // White flash, then shake in red
+            this.sprite.setTintFill(0xffffff);
+            this.flashTimer = this.scene.time.delayedCall(80, () => {
+                this.flashTimer = null;
+                this.sprite.setTint(0xff6b6b);
+            });
+            tween({ x: x + 12, duration: 50, yoyo: true, repeat: 3 });
+        } else if (state === 'defending') {
+            this.sprite.setTint(0x93c5fd);
+            tween({ alpha: 0.75, duration: 600, yoyo: true, repeat: -1, ease: 'Sine.easeInOut' });
+        } else if (state === 'victory') {
+            tween({ y: y - 30, duration: 400, yoyo: true, repeat: -1, ease: 'Sine.easeOut' });
+        } else if (state === 'defeated') {
+            this.sprite.setTint(0x6b7280);
+            tween({ angle: this.flipX ? -80 : 80, y: y + 20, alpha: 0.6, duration: 700, ease: 'Bounce.easeOut' });
+        }
+    }
+
+    /**
+     * Stop state effects and put the sprite back at its base transform and tint
+     */
+    reset() {
+        this.tweens.forEach(tween => tween.stop());
+        this.tweens = [];
+        if (this.timer) {
+            this.timer.remove();
+            this.timer = null;
+        }
+        if (this.flashTimer) {
+            this.flashTimer.remove();
+            this.flashTimer = null;
+        }
+
+        this.sprite.setPosition(this.base.x, this.base.y);
+        this.sprite.setScale(this.base.scale);
+        this.sprite.setAngle(0);
+        this.sprite.setAlpha(1);
+        if (this.tint !== null) {
+            this.sprite.setTint(this.tint);
+        } else {
+            this.sprite.clearTint();
+        }
+    }
+
+    destroy() {
+        this.reset();
+        this.sprite.destroy();
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Screen reader narration.
+ * The battle is drawn on the canvas, so everything a player should hear goes
+ * through two visually hidden ARIA live regions: a polite one for the flow of
+ * the battle and an assertive one for warnings.
+ */
+
+// Old announcements are dropped from the regions beyond this many
+const MAX_ENTRIES = 5;
+
+let regions = null;
+
+const createRegion = (role, live) => {
+    const region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('role', role);
+    region.setAttribute('aria-live', live);
+    // Each announcement is added as a new line, so quick successive ones are all read
+    region.setAttribute('aria-relevant', 'additions');
+    document.body.appendChild(region);
+    return region;
+};
+
+const getRegions = () => {
+    if (!regions) {
+        regions = {
+            polite: createRegion('status', 'polite'),
+            assertive: createRegion('alert', 'assertive')
+        };
+    }
+    return regions;
+};
+
+/**
+ * Read a message out to screen reader users
+ * @param {string} message - Text to announce (line breaks are read as spaces)
+ * @param {object} options
+ * @param {boolean} options.urgent - Interrupt whatever is being read (warnings)
+ */
+export function announce(message, { urgent = false } = {}) {
+    if (!message) return;
+    const region = getRegions()[urgent ? 'assertive' : 'polite'];
+    const entry = document.createElement('p');
+    entry.textContent = message.replace(/\s*\n\s*/g, ' ');
+    region.appendChild(entry);
+    while (region.childElementCount > MAX_ENTRIES) {
+        region.firstElementChild.remove();
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Virtual arena coordinates.
+ * Effects, wizards and text boxes are laid out in a fixed 1920x1080 arena (the
+ * space Gemini generates positions in) and mapped onto the actual canvas, scaled
+ * uniformly and centred, so a message looks the same on every screen.
+ */
+
+export const ARENA_WIDTH = 1920;
+export const ARENA_HEIGHT = 1080;
+
+// Where the wizards stand, in arena coordinates
+export const WIZARD_POSITIONS = {
+    left: { x: 480, y: 720 },
+    right: { x: 1440, y: 720 }
+};
+
+/**
+ * Where a wizard's spells leave from and land, in arena coordinates
+ * @param {string} side - The caster's side, 'left' or 'right'
+ * @returns {{from: {x: number, y: number}, to: {x: number, y: number}, barrier: {x: number, y: number}, facing: number}}
+ *   from is above the caster's staff, to is the opponent, barrier is just in front of the caster; facing is 1 when the opponent is to the right
+ */
+export function getSpellRoute(side) {
+    const caster = WIZARD_POSITIONS[side];
+    const opponent = WIZARD_POSITIONS[side === 'left' ? 'right' : 'left'];
+    const facing = Math.sign(opponent.x - caster.x);
+    return {
+        from: { x: caster.x + facing * 120, y: caster.y - 160 },
+        to: { x: opponent.x, y: opponent.y - 60 },
+        barrier: { x: caster.x + facing * 220, y: caster.y - 60 },
+        facing
+    };
+}
+
+/**
+ * Turn effects to face the way their caster does. Effects are generated with the caster
+ * as the left wizard, so a right-hand caster's path is mirrored across the arena
+ * @param {object|null} effects - Validated effects payload
+ * @param {string} side - The caster's side, 'left' or 'right'
+ * @returns {object|null} - The effects, with a mirrored animationPath for the right-hand caster
+ */
+export function orientEffects(effects, side) {
+    if (side !== 'right' || !effects?.animationPath) return effects;
+    return {
+        ...effects,
+        animationPath: effects.animationPath.map(point => ({
+            ...point,
+            x: ARENA_WIDTH - point.x,
+            ...(point.rotation !== undefined && { rotation: -point.rotation })
+        }))
+    };
+}
+
+export class ArenaSpace {
+    /**
+     * @param {Phaser.Scene} scene - Scene whose canvas the arena is mapped to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.listeners = new Set();
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        this.update(scene.scale.gameSize);
+        this.resizeHandler = (size) => this.update(size);
+        scene.scale.on('resize', this.resizeHandler);
+    }
+
+    /**
+     * Recompute the mapping for a canvas size and notify listeners
+     * @param {{width: number, height: number}} size - Canvas size
+     */
+    update({ width, height }) {
+        this.scale = Math.min(width / ARENA_WIDTH, height / ARENA_HEIGHT);
+        this.offsetX = (width - ARENA_WIDTH * this.scale) / 2;
+        this.offsetY = (height - ARENA_HEIGHT * this.scale) / 2;
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Map an arena point to canvas coordinates
+     * @param {{x: number, y: number}} point - Arena coordinates
+     * @returns {{x: number, y: number}}
+     */
+    toScreen({ x, y }) {
+        return { x: this.offsetX + x * this.scale, y: this.offsetY + y * this.scale };
+    }
+
+    /**
+     * Map a canvas point to arena coordinates
+     * @param {{x: number, y: number}} point - Canvas coordinates
+     * @returns {{x: number, y: number}}
+     */
+    toVirtual({ x, y }) {
+        return { x: (x - this.offsetX) / this.scale, y: (y - this.offsetY) / this.scale };
+    }
+
+    /**
+     * Listen for mapping changes (window resizes)
+     * @param {Function} callback - Receives the ArenaSpace
+     * @returns {Function} - Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    destroy() {
+        this.scene.scale.off('resize', this.resizeHandler);
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * Validation and clamping for effects payloads.
+ * The limits mirror the Gemini responseSchema; anything outside them is clamped,
+ * dropped or replaced with a default, and every adjustment is reported.
+ */
+
+export const EFFECTS_LIMITS = {
+    fontSize: { min: 20, max: 48, default: 28 },
+    waypoints: { min: 1, max: 3 },
+    x: { min: 200, max: 1720 },
+    y: { min: 200, max: 880 },
+    duration: { min: 800, max: 2500 },
+    rotation: { min: 0, max: 6.28 },
+    color: { min: 0x000000, max: 0xffffff },
+    textColors: ['#000000', '#ffffff'],
+    particles: {
+        colors: { min: 2, max: 4 },
+        speedMin: { min: 20, max: 100 },
+        speedMax: { min: 40, max: 150 },
+        angle: { min: 0, max: 360 },
+        scaleStart: { min: 1, max: 3 },
+        scaleEnd: { min: 0, max: 1 },
+        lifespan: { min: 500, max: 2000 },
+        frequency: { min: 20, max: 100 },
+        quantity: { min: 1, max: 5 }
+    }
+};
+
+const DEFAULT_COLORS = { text: '#000000', background: 0xffffff, border: 0xe5e7eb };
+
+const DEFAULT_PATH = [
+    { x: 600, y: 400, duration: 2000 },
+    { x: 1300, y: 400, duration: 2000 }
+];
+
+/**
+ * Validate and clamp an effects payload
+ * @param {*} input - Effects data as received (parsed JSON or provider output)
+ * @returns {{effects: object|null, changes: Array<string>, valid: boolean}} -
+ *   effects is the sanitized payload (null when rejected), changes lists every adjustment,
+ *   valid is false only when the payload had to be rejected outright
+ */
+export function validateEffects(input) {
+    const changes = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { effects: null, changes: ['rejected: payload is not an object'], valid: false };
+    }
+
+    Object.keys(input)
+        .filter(key => !['fontSize', 'colors', 'animationPath', 'particles'].includes(key))
+        .forEach(key => changes.push(`${key}: unknown field removed`));
+
+    const effects = {
+        fontSize: validateNumber(input.fontSize, EFFECTS_LIMITS.fontSize, 'fontSize', changes, EFFECTS_LIMITS.fontSize.default),
+        colors: validateColors(input.colors, changes),
+        animationPath: validatePath(input.animationPath, changes)
+    };
+
+    if (input.particles !== undefined) {
+        const particles = validateParticles(input.particles, changes);
+        if (particles) effects.particles = particles;
+    }
+
+    return { effects, changes, valid: true };
+}
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function validateNumber(value, range, field, changes, fallback) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        if (value !== undefined || fallback === undefined) {
+            changes.push(`${field}: invalid value ${JSON.stringify(value)} replaced with ${fallback}`);
+        }
+        return fallback;
+    }
+    const clamped = clamp(value, range);
+    if (clamped !== value) {
+        changes.push(`${field}: ${value} clamped to ${clamped}`);
+    }
+    return clamped;
+}
+
+/**
+ * Parse a colour given as a number, "#rrggbb" or "0xrrggbb"
+ * @returns {number|null}
+ */
+function parseColor(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return value;
+    }
+    if (typeof value === 'string' && /^(#|0x)[0-9a-f]{6}$/i.test(value)) {
+        return parseInt(value.replace(/^(#|0x)/i, ''), 16);
+    }
+    return null;
+}
+
+function validateColor(value, field, changes, fallback) {
+    const parsed = parseColor(value);
+    if (parsed === null) {
+        changes.push(`${field}: invalid colour ${JSON.stringify(value)} replaced with 0x${fallback.toString(16)}`);
+        return fallback;
+    }
+    const clamped = clamp(parsed, EFFECTS_LIMITS.color);
+    if (clamped !== value) {
+        changes.push(`${field}: ${JSON.stringify(value)} normalized to 0x${clamped.toString(16).padStart(6, '0')}`);
+    }
+    return clamped;
+}
+
+function validateColors(colors, changes) {
+    if (!colors || typeof colors !== 'object') {
+        changes.push('colors: missing, defaults used');
+        return { ...DEFAULT_COLORS };
+    }
+
+    const background = validateColor(colors.background, 'colors.background', changes, DEFAULT_COLORS.background);
+    const border = validateColor(colors.border, 'colors.border', changes, DEFAULT_COLORS.border);
+
+    let text = typeof colors.text === 'string' ? colors.text.toLowerCase() : colors.text;
+    if (!EFFECTS_LIMITS.textColors.includes(text)) {
+        // Same rule the prompt gives: white text on dark backgrounds, black on light ones
+        const replacement = background <= 0x888888 ? '#ffffff' : '#000000';
+        changes.push(`colors.text: ${JSON.stringify(colors.text)} replaced with ${replacement}`);
+        text = replacement;
+    }
+
+    return { text, background, border };
+}
+
+function validatePath(path, changes) {
+    if (!Array.isArray(path)) {
+        changes.push('animationPath: missing, default path used');
+        return DEFAULT_PATH.map(point => ({ ...point }));
+    }
+
+    if (path.length > EFFECTS_LIMITS.waypoints.max) {
+        changes.push(`animationPath: ${path.length} waypoints truncated to ${EFFECTS_LIMITS.waypoints.max}`);
+    }
+
+    const points = [];
+    path.slice(0, EFFECTS_LIMITS.waypoints.max).forEach((point, index) => {
+        const field = `animationPath[${index}]`;
+        if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' ||
+            !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+            changes.push(`${field}: waypoint without numeric x/y removed`);
+            return;
+        }
+
+        const waypoint = {
+            x: validateNumber(point.x, EFFECTS_LIMITS.x, `${field}.x`, changes),
+            y: validateNumber(point.y, EFFECTS_LIMITS.y, `${field}.y`, changes)
+        };
+        if (point.duration !== undefined) {
+            waypoint.duration = validateNumber(point.duration, EFFECTS_LIMITS.duration, `${field}.duration`, changes, EFFECTS_LIMITS.duration.max);
+        }
+        if (point.rotation !== undefined) {
+            waypoint.rotation = validateNumber(point.rotation, EFFECTS_LIMITS.rotation, `${field}.rotation`, changes, 0);
+        }
+        points.push(waypoint);
+    });
+
+    if (points.length < EFFECTS_LIMITS.waypoints.min) {
+        changes.push('animationPath: no usable waypoints, default path used');
+        return DEFAULT_PATH.map(point => ({ ...point }));
+    }
+    return points;
+}
+
+function validateRange(range, minLimits, maxLimits, field, changes, keys = ['min', 'max']) {
+    if (range === undefined) return undefined;
+    if (!range || typeof range !== 'object') {
+        changes.push(`${field}: invalid value removed`);
+        return undefined;
+    }
+    const [lowKey, highKey] = keys;
+    const result = {};
+    if (range[lowKey] !== undefined) {
+        result[lowKey] = validateNumber(range[lowKey], minLimits, `${field}.${lowKey}`, changes, minLimits.min);
+    }
+    if (range[highKey] !== undefined) {
+        result[highKey] = validateNumber(range[highKey], maxLimits, `${field}.${highKey}`, changes, maxLimits.max);
+    }
+    return result;
+}
+
+function validateParticles(particles, changes) {
+    const limits = EFFECTS_LIMITS.particles;
+
+    if (!particles || typeof particles !== 'object') {
+        changes.push('particles: invalid value removed');
+        return null;
+    }
+
+    const rawColors = Array.isArray(particles.colors) ? particles.colors : [];
+    const colors = rawColors.map(parseColor).filter(color => color !== null).map(color => clamp(color, EFFECTS_LIMITS.color));
+    if (colors.length !== rawColors.length) {
+        changes.push(`particles.colors: ${rawColors.length - colors.length} invalid colour(s) removed`);
+    }
+    if (colors.length === 0) {
+        changes.push('particles: no usable colours, particles removed');
+        return null;
+    }
+    if (colors.length > limits.colors.max) {
+        changes.push(`particles.colors: ${colors.length} colours truncated to ${limits.colors.max}`);
+        colors.length = limits.colors.max;
+    }
+
+    const result = { colors };
+
+    const speed = validateRange(particles.speed, limits.speedMin, limits.speedMax, 'particles.speed', changes);
+    if (speed) result.speed = speed;
+    const angle = validateRange(particles.angle, limits.angle, limits.angle, 'particles.angle', changes);
+    if (angle) result.angle = angle;
+    const scale = validateRange(particles.scale, limits.scaleStart, limits.scaleEnd, 'particles.scale', changes, ['start', 'end']);
+    if (scale) result.scale = scale;
+
+    // Invalid values fall back to the gentlest end of each range
+    const fallbacks = { lifespan: limits.lifespan.min, frequency: limits.frequency.max, quantity: limits.quantity.min };
+    Object.keys(fallbacks).forEach(key => {
+        if (particles[key] !== undefined) {
+            result[key] = validateNumber(particles[key], limits[key], `particles.${key}`, changes, fallbacks[key]);
+        }
+    });
+    if (result.quantity !== undefined && !Number.isInteger(result.quantity)) {
+        result.quantity = Math.round(result.quantity);
+    }
+
+    return result;
+}
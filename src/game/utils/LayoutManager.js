@@ -0,0 +1,169 @@
+import { EFFECTS_LIMITS } from './EffectsValidator.js';
+
+// Recent boxes that occupy space; fixed, so every client lays out the same way whatever its box limit
+const DEFAULT_MAX_BOXES = 20;
+// Grid step when searching for free space, and how far a path may be moved
+const SEARCH_STEP = 60;
+const SEARCH_RINGS = 12;
+// Matches TextBoxCreator's default font size and padding
+const DEFAULT_FONT_SIZE = 28;
+const PADDING_X = 24;
+const PADDING_Y = 12;
+// Breathing room kept between boxes
+const MARGIN = 10;
+// Free zones tried when a message has no path, in the order they are tried
+const ZONES = [
+    { x: 960, y: 300 }, { x: 400, y: 300 }, { x: 1520, y: 300 },
+    { x: 960, y: 540 }, { x: 400, y: 540 }, { x: 1520, y: 540 },
+    { x: 960, y: 800 }, { x: 400, y: 800 }, { x: 1520, y: 800 }
+];
+
+/**
+ * Keeps text boxes from piling on top of each other.
+ * Knows the footprint of the last few boxes (each waypoint plus the midpoint of
+ * each leg of its loop) and moves an incoming path, as a whole so its shape is
+ * kept, to the nearest free spot. Everything is computed in arena coordinates
+ * from the message text and effects only, so every client that places the same
+ * messages in the same order gets the same layout.
+ */
+export class LayoutManager {
+    /**
+     * @param {number} maxBoxes - How many recent boxes count as occupying space
+     */
+    constructor(maxBoxes = DEFAULT_MAX_BOXES) {
+        this.maxBoxes = maxBoxes;
+        this.placed = []; // Footprints (arrays of rects) of recent boxes, oldest first
+    }
+
+    /**
+     * Place a box and return its adjusted path
+     * @param {string} label - Text shown in the box
+     * @param {object|null} effects - Validated effects payload
+     * @returns {Array<{x: number, y: number, duration?: number, rotation?: number}>} - Path in arena coordinates
+     */
+    place(label, effects) {
+        const size = this.estimateSize(label, effects?.fontSize || DEFAULT_FONT_SIZE);
+        const occupied = this.placed.flat();
+
+        const path = effects?.animationPath?.length > 0
+            ? this.fitPath(effects.animationPath, size, occupied)
+            : this.pickZone(size, occupied);
+
+        this.placed.push(this.footprint(path, size));
+        if (this.placed.length > this.maxBoxes) {
+            this.placed.shift();
+        }
+        return path;
+    }
+
+    /**
+     * Forget every placed box
+     */
+    clear() {
+        this.placed = [];
+    }
+
+    /**
+     * Size of a box from its text, without measuring rendered text (which differs between browsers)
+     * @param {string} label
+     * @param {number} fontSize
+     * @returns {{width: number, height: number}}
+     */
+    estimateSize(label, fontSize) {
+        const lines = label.split('\n');
+        const longest = Math.max(...lines.map(line => line.length));
+        return {
+            width: Math.ceil(longest * fontSize * 0.55 + PADDING_X * 2),
+            height: Math.ceil(lines.length * fontSize * 1.2 + PADDING_Y * 2)
+        };
+    }
+
+    /**
+     * Move a path by the smallest offset that puts it in free space,
+     * or by the offset with the least overlap when nothing is free
+     */
+    fitPath(path, size, occupied) {
+        let best = { path, overlap: Infinity };
+        for (const { dx, dy } of this.offsets()) {
+            const moved = path.map(point => ({ ...point, x: point.x + dx, y: point.y + dy }));
+            if (!moved.every(point => this.inBounds(point))) continue;
+
+            const overlap = this.overlap(this.footprint(moved, size), occupied);
+            if (overlap === 0) return moved;
+            if (overlap < best.overlap) {
+                best = { path: moved, overlap };
+            }
+        }
+        return best.path;
+    }
+
+    /**
+     * Pick the first free zone (or the least crowded one) for a box without a path,
+     * drifting gently around the zone's centre
+     */
+    pickZone(size, occupied) {
+        const pathFor = ({ x, y }) => [
+            { x: x - 60, y, duration: 2000 },
+            { x: x + 60, y, duration: 2000 }
+        ];
+        let best = { path: pathFor(ZONES[0]), overlap: Infinity };
+        for (const zone of ZONES) {
+            const path = pathFor(zone);
+            const overlap = this.overlap(this.footprint(path, size), occupied);
+            if (overlap === 0) return path;
+            if (overlap < best.overlap) {
+                best = { path, overlap };
+            }
+        }
+        return best.path;
+    }
+
+    /**
+     * Candidate offsets, nearest first: no move, then square rings of growing radius
+     */
+    *offsets() {
+        yield { dx: 0, dy: 0 };
+        for (let ring = 1; ring <= SEARCH_RINGS; ring++) {
+            for (let i = -ring; i <= ring; i++) {
+                for (let j = -ring; j <= ring; j++) {
+                    if (Math.max(Math.abs(i), Math.abs(j)) === ring) {
+                        yield { dx: i * SEARCH_STEP, dy: j * SEARCH_STEP };
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Rects a box covers over its loop: every waypoint and the midpoint of every leg
+     */
+    footprint(path, { width, height }) {
+        const points = path.slice();
+        if (path.length > 1) {
+            path.forEach((point, index) => {
+                const next = path[(index + 1) % path.length];
+                points.push({ x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 });
+            });
+        }
+        const halfWidth = width / 2 + MARGIN;
+        const halfHeight = height / 2 + MARGIN;
+        return points.map(({ x, y }) => ({ left: x - halfWidth, right: x + halfWidth, top: y - halfHeight, bottom: y + halfHeight }));
+    }
+
+    overlap(rects, occupied) {
+        let total = 0;
+        rects.forEach(a => {
+            occupied.forEach(b => {
+                const w = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+                const h = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+                if (w > 0 && h > 0) total += w * h;
+            });
+        });
+        return total;
+    }
+
+    inBounds({ x, y }) {
+        return x >= EFFECTS_LIMITS.x.min && x <= EFFECTS_LIMITS.x.max &&
+            y >= EFFECTS_LIMITS.y.min && y <= EFFECTS_LIMITS.y.max;
+    }
+}
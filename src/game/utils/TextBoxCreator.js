@@ -1,9 +1,39 @@
+import { ARENA_HEIGHT, ARENA_WIDTH } from './ArenaSpace.js';
+import { PARTICLE_QUALITY, getGameSettings, onGameSettingsChange } from '../services/gameSettings.js';
+
+// How far a projectile's path may bow away from the straight line between the wizards
+const MAX_ARC = 220;
+// Duration of a flight leg when the effect doesn't give one (ms)
+const FLIGHT_LEG_DURATION = 400;
+const IMPACT_COLORS = [0xf59e0b, 0xffffff];
+// Replaces the effect's colors in high contrast mode: white on black with a yellow border
+const HIGH_CONTRAST_COLORS = { text: '#ffffff', background: 0x000000, border: 0xffff00, shadow: 0x000000 };
+
 /**
- * Utility class for creating animated text boxes
+ * Utility class for creating animated text boxes.
+ * Paths and sizes are in arena coordinates and mapped to the canvas through the
+ * ArenaSpace; live boxes are re-placed when the mapping changes.
+ *
+ * A box is presented in one of three modes:
+ * - 'loop': emerges and loops along its path forever
+ * - 'projectile': flies from the caster to the opponent, bent by its path, and bursts on impact
+ * - 'barrier': settles in front of the caster inside a shield
+ *
+ * The player's display settings (gameSettings.js) apply to every box: text size,
+ * particle quality, high contrast colors, and reduced motion, under which boxes
+ * fade in and stay put and projectiles fade in at their target instead of flying.
  */
 export class TextBoxCreator {
-    constructor(scene) {
+    /**
+     * @param {Phaser.Scene} scene - The scene to draw in
+     * @param {ArenaSpace} arena - Mapping from arena coordinates to the canvas
+     */
+    constructor(scene, arena) {
         this.scene = scene;
+        this.arena = arena;
+        this.boxes = new Set(); // Live boxes, re-placed on resize
+        this.unsubscribeArena = arena.onChange(() => this.relayout());
+        this.unsubscribeSettings = onGameSettingsChange(() => this.relayout());
         this.paddingX = 24;
         this.paddingY = 12;
         this.radius = 16;
@@ -13,18 +43,27 @@ export class TextBoxCreator {
     /**
      * Create an animated text box that emerges from a position and loops
      * @param {string} label - The text to display
-     * @param {object} startPosition - Starting position {x, y}
+     * @param {object} startPosition - Starting position {x, y} in canvas coordinates (e.g. the input box)
      * @param {number} currentDepth - The depth for layering
      * @param {object} options - Optional configuration
      * @param {object} options.colors - Color configuration {text, background, border}
-     * @param {Array<{x: number, y: number, duration?: number, rotation?: number}>} options.animationPath - Array of points defining the animation path. Each point can have optional duration (in ms) and rotation (in radians) for the transition to that point. If not provided, generates 2 random points.
+     * @param {Array<{x: number, y: number, duration?: number, rotation?: number}>} options.animationPath - Array of points in arena coordinates defining the animation path. Each point can have optional duration (in ms) and rotation (in radians) for the transition to that point. If not provided, generates 2 random points.
      * @param {string} options.effect - Particle effect type: 'fire', 'ice', 'poison', 'smoke', or null (default: null)
      * @param {number} options.fontSize - Font size in pixels (default: 28)
+     * @param {boolean} options.atRest - Skip the entrance and start at the first path point (default: false)
+     * @param {number} options.opacity - Final opacity of the box, e.g. to dim flagged messages (default: 1)
+     * @param {string} options.mode - 'loop', 'projectile' or 'barrier' (default: 'loop')
+     * @param {{x: number, y: number}} options.from - Projectile launch point in arena coordinates
+     * @param {{x: number, y: number}} options.to - Projectile impact point in arena coordinates
+     * @param {{x: number, y: number}} options.barrier - Where a barrier stands, in arena coordinates
+     * @param {Function} options.onImpact - Called once when a projectile lands (or is removed before landing)
      * @returns {object} - Returns {text, gfx, container, tween, particles}
      */
     create(label, startPosition, currentDepth, options = {}) {
-        // Get font size from options or use default
-        const fontSize = options.fontSize || 28;
+        // Get font size from options or use default, scaled by the player's text size setting
+        const settings = getGameSettings();
+        const fontSize = Math.round((options.fontSize || 28) * settings.textScale);
+        const colors = settings.highContrast ? HIGH_CONTRAST_COLORS : options.colors;
         
         // Calculate text dimensions
         const { width: bw, height: bh } = this.calculateDimensions(label, fontSize);
@@ -34,8 +73,13 @@ export class TextBoxCreator {
         
         // Use provided animation path or generate random path points
         let pathPoints;
+        const mode = options.mode ?? 'loop';
         
-        if (options.animationPath && Array.isArray(options.animationPath) && options.animationPath.length > 0) {
+        if (mode === 'projectile') {
+            pathPoints = this.createFlightPath(options.from, options.to, options.animationPath ?? []);
+        } else if (mode === 'barrier') {
+            pathPoints = [options.barrier];
+        } else if (options.animationPath && Array.isArray(options.animationPath) && options.animationPath.length > 0) {
             pathPoints = options.animationPath;
         } else {
             // Generate default 2-point path (emergence and loop target)
@@ -52,7 +96,7 @@ export class TextBoxCreator {
         }
         
         // Get text color from options or use default
-        const textColor = options.colors?.text ?? '#0f172a';
+        const textColor = colors?.text ?? '#0f172a';
         
         // Determine stroke color based on text brightness for extra contrast
         const strokeColor = this.getContrastingStroke(textColor);
@@ -77,7 +121,7 @@ export class TextBoxCreator {
             bw, 
             bh, 
             currentDepth,
-            options.colors
+            colors
         );
         
         text.setDepth(currentDepth + 1);
@@ -88,10 +132,81 @@ export class TextBoxCreator {
             particles = this.createCustomParticleEffect(options.particles, container, currentDepth);
         }
         
-        // Animate the text box along the path
-        const tween = this.animateTextBox(text, container, pathPoints);
+        const box = {
+            text, gfx, container, tween: null, particles, path: pathPoints, pathIndex: 0, opacity: options.opacity ?? 1,
+            mode, onImpact: options.onImpact ?? null, landed: false,
+            impactColors: options.particles?.colors ?? (colors?.border !== undefined ? [colors.border, 0xffffff] : IMPACT_COLORS)
+        };
+        this.boxes.add(box);
+        if (mode === 'barrier') {
+            this.addShield(box, bw, bh, colors);
+        }
+        
+        // Animate the text box along the path (or skip straight to it when placing at rest)
+        if (options.atRest) {
+            this.placeAtRest(box);
+        } else {
+            this.animateTextBox(box);
+        }
         
-        return { text, gfx, container, tween: null, particles };
+        return box;
+    }
+
+    /**
+     * Destroy a text box created by create(), stopping its tweens and particles
+     * @param {object} box - The object returned by create()
+     */
+    destroy(box) {
+        if (box.destroyed) return;
+        box.destroyed = true;
+        // A projectile removed mid-flight still counts as landed, unless the scene is shutting down
+        if (this.boxes.has(box)) this.land(box);
+        this.boxes.delete(box);
+        this.scene.tweens.killTweensOf([box.text, box.container]);
+        if (box.text) box.text.destroy();
+        if (box.gfx) box.gfx.destroy();
+        if (box.container) box.container.destroy();
+        if (box.tween) box.tween.stop();
+        if (box.particles) box.particles.destroy();
+    }
+
+    /**
+     * Fade a box out and destroy it (e.g. when a barrier is broken)
+     * @param {object} box - The object returned by create()
+     */
+    dismiss(box) {
+        if (box.destroyed) return;
+        this.boxes.delete(box);
+        this.scene.tweens.killTweensOf([box.text, box.container]);
+        this.scene.tweens.add({
+            targets: [box.text, box.container],
+            alpha: 0,
+            scale: this.arena.scale * (this.reducedMotion ? 1 : 1.2),
+            duration: 300,
+            ease: 'Power2',
+            onComplete: () => this.destroy(box)
+        });
+    }
+
+    /**
+     * Bring a box to the front and flash it (e.g. when it's picked in the battle log)
+     * @param {object} box - The object returned by create()
+     * @param {number} depth - New depth for the box
+     */
+    highlight(box, depth) {
+        if (box.destroyed) return;
+        box.container.setDepth(depth);
+        box.text.setDepth(depth + 1);
+        if (box.particles) box.particles.setDepth(depth - 1);
+        // Only alpha is tweened, so the box's own motion carries on underneath
+        this.scene.tweens.add({
+            targets: [box.text, box.container],
+            alpha: 0.2,
+            duration: this.reducedMotion ? 250 : 150,
+            ease: 'Sine.easeInOut',
+            yoyo: true,
+            repeat: this.reducedMotion ? 0 : 2
+        });
     }
 
     calculateDimensions(label, fontSize = 28) {
@@ -113,12 +228,39 @@ export class TextBoxCreator {
         const margin = Math.max(bw, bh) / 2 + 20;
         return {
             minX: margin,
-            maxX: window.innerWidth - margin,
+            maxX: ARENA_WIDTH - margin,
             minY: margin,
-            maxY: window.innerHeight - 100
+            maxY: ARENA_HEIGHT - 100
         };
     }
 
+    /**
+     * Whether the player asked for reduced motion
+     * @returns {boolean}
+     */
+    get reducedMotion() {
+        return getGameSettings().reducedMotion;
+    }
+
+    /**
+     * Re-place every live box after the arena mapping or the settings changed, resuming its path from the waypoint it was heading to
+     */
+    relayout() {
+        this.boxes.forEach(box => {
+            this.scene.tweens.killTweensOf([box.text, box.container]);
+            this.placeAtRest(box);
+        });
+    }
+
+    /**
+     * Stop following the arena mapping; call when the scene shuts down
+     */
+    shutdown() {
+        this.unsubscribeArena();
+        this.unsubscribeSettings();
+        this.boxes.clear();
+    }
+
     createGraphicsContainer(x, y, bw, bh, depth, colors = {}) {
         const gfx = this.scene.add.graphics();
         const container = this.scene.add.container(x, y);
@@ -146,43 +288,113 @@ export class TextBoxCreator {
         return { gfx, container };
     }
 
-    animateTextBox(text, container, pathPoints) {
+    animateTextBox(box) {
+        const { text, container, path: pathPoints } = box;
         if (pathPoints.length === 0) return;
+
+        if (this.reducedMotion) {
+            this.fadeIn(box);
+            return;
+        }
         
-        // Phase 1: Emerge to the first point
+        // Phase 1: Emerge to the first point (projectiles only pop out of the caster's staff)
+        const first = this.arena.toScreen(pathPoints[0]);
         this.scene.tweens.add({
             targets: [text, container],
-            x: pathPoints[0].x,
-            y: pathPoints[0].y,
-            scale: 1,
-            alpha: 1,
-            duration: 800,
+            x: first.x,
+            y: first.y,
+            scale: this.arena.scale,
+            alpha: box.opacity,
+            duration: box.mode === 'projectile' ? 250 : 800,
             ease: 'Back.easeOut',
             onComplete: () => {
+                if (box.mode === 'projectile') {
+                    this.createFlightAnimation(box);
+                    return;
+                }
                 // Phase 2: Animate through all path points in a loop
                 if (pathPoints.length === 1) {
                     // If only one point, just stay there
                     return;
                 }
                 
-                this.createPathAnimation(text, container, pathPoints);
+                this.createPathAnimation(box);
+            }
+        });
+    }
+
+    placeAtRest(box) {
+        const { text, container, path: pathPoints } = box;
+        if (pathPoints.length === 0) return;
+
+        if (this.reducedMotion && box.mode === 'projectile') {
+            // Its flight is skipped, so it has arrived
+            box.pathIndex = pathPoints.length - 1;
+        }
+        
+        const position = this.arena.toScreen(pathPoints[box.pathIndex]);
+        [text, container].forEach(target => {
+            target.setPosition(position.x, position.y);
+            target.setScale(this.arena.scale);
+            target.setAlpha(box.opacity);
+            if (this.reducedMotion) target.setAngle(0);
+        });
+        
+        if (this.reducedMotion) {
+            if (box.mode === 'projectile') this.impact(box);
+        } else if (box.mode === 'projectile') {
+            this.createFlightAnimation(box);
+        } else if (pathPoints.length > 1) {
+            this.createPathAnimation(box);
+        }
+    }
+
+    /**
+     * Reduced motion entrance: fade in at rest, without looping. A projectile fades in
+     * at its target and lands there.
+     * @param {object} box - The object returned by create()
+     */
+    fadeIn(box) {
+        const { text, container, path: pathPoints } = box;
+        if (box.mode === 'projectile') {
+            box.pathIndex = pathPoints.length - 1;
+        }
+
+        const position = this.arena.toScreen(pathPoints[box.pathIndex]);
+        [text, container].forEach(target => {
+            target.setPosition(position.x, position.y);
+            target.setScale(this.arena.scale);
+            target.setAngle(0);
+            target.setAlpha(0);
+        });
+
+        this.scene.tweens.add({
+            targets: [text, container],
+            alpha: box.opacity,
+            duration: 300,
+            ease: 'Linear',
+            completeDelay: box.mode === 'projectile' ? 300 : 0,
+            onComplete: () => {
+                if (box.mode === 'projectile') this.impact(box);
             }
         });
     }
 
-    createPathAnimation(text, container, pathPoints) {
-        let currentIndex = 0;
+    createPathAnimation(box) {
+        const { text, container, path: pathPoints } = box;
         
         const animateToNextPoint = () => {
-            currentIndex = (currentIndex + 1) % pathPoints.length;
-            const nextPoint = pathPoints[currentIndex];
+            box.pathIndex = (box.pathIndex + 1) % pathPoints.length;
+            const nextPoint = pathPoints[box.pathIndex];
+            // Map each leg when it starts, so resizes are picked up
+            const target = this.arena.toScreen(nextPoint);
             // Use custom duration if provided, otherwise random between 2-4 seconds
             const duration = nextPoint.duration ?? Phaser.Math.Between(2000, 4000);
             
             const tweenConfig = {
                 targets: [text, container],
-                x: nextPoint.x,
-                y: nextPoint.y,
+                x: target.x,
+                y: target.y,
                 duration: duration,
                 ease: 'Sine.easeInOut',
                 onComplete: animateToNextPoint
@@ -200,36 +412,184 @@ export class TextBoxCreator {
     }
 
     /**
-     * Create custom particle effect from Gemini config
-     * @param {Object} particleConfig - Particle configuration from Gemini
-     * @param {Phaser.GameObjects.Container} container - Container to attach particles to
-     * @param {number} depth - Depth layer for particles
+     * Bend the straight line from the caster to the opponent by the shape of an effect's path:
+     * each waypoint becomes a step of the flight, lifted or dropped by its height relative to the
+     * path's average, and pinned to the line at both ends
+     * @param {{x: number, y: number}} from - Launch point
+     * @param {{x: number, y: number}} to - Impact point
+     * @param {Array<{x: number, y: number, duration?: number, rotation?: number}>} path - The effect's path
+     * @returns {Array<{x: number, y: number, duration?: number, rotation?: number}>} - Waypoints from launch to impact
      */
-    createCustomParticleEffect(particleConfig, container, depth) {
-        // Generate unique texture name based on colors
-        const colorHash = particleConfig.colors.join('_');
-        const textureName = `particle_${colorHash}`;
+    createFlightPath(from, to, path) {
+        const meanY = path.reduce((sum, point) => sum + point.y, 0) / (path.length || 1);
+        const steps = path.map((point, i) => {
+            const t = (i + 1) / (path.length + 1);
+            const lift = Phaser.Math.Clamp(point.y - meanY, -MAX_ARC, MAX_ARC) * Math.sin(Math.PI * t);
+            const step = {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t + lift,
+                duration: Phaser.Math.Clamp(point.duration ?? FLIGHT_LEG_DURATION, 150, 600)
+            };
+            if (point.rotation !== undefined) step.rotation = point.rotation;
+            return step;
+        });
+        return [{ ...from }, ...steps, { ...to, duration: 300, rotation: 0 }];
+    }
+
+    /**
+     * Fly a projectile through the rest of its path, then land it
+     * @param {object} box - The object returned by create()
+     */
+    createFlightAnimation(box) {
+        const { text, container, path: pathPoints } = box;
+
+        const flyToNextPoint = () => {
+            if (box.pathIndex >= pathPoints.length - 1) {
+                this.impact(box);
+                return;
+            }
+            box.pathIndex++;
+            const nextPoint = pathPoints[box.pathIndex];
+            const target = this.arena.toScreen(nextPoint);
+
+            const tweenConfig = {
+                targets: [text, container],
+                x: target.x,
+                y: target.y,
+                duration: nextPoint.duration ?? FLIGHT_LEG_DURATION,
+                ease: 'Linear',
+                onComplete: flyToNextPoint
+            };
+            if (nextPoint.rotation !== undefined) {
+                tweenConfig.angle = Phaser.Math.RadToDeg(nextPoint.rotation);
+            }
+            this.scene.tweens.add(tweenConfig);
+        };
+
+        flyToNextPoint();
+    }
+
+    /**
+     * Burst a landed projectile: particles, a ring spreading across the screen, then fade out
+     * @param {object} box - The object returned by create()
+     */
+    impact(box) {
+        const { x, y } = box.container;
+        const depth = box.container.depth;
+        this.land(box);
+
+        // Particle burst, scaled with the arena like the box itself
+        const quality = PARTICLE_QUALITY[getGameSettings().particleQuality];
+        if (quality) {
+            const burst = this.scene.add.particles(x, y, this.getParticleTexture(box.impactColors), {
+                speed: { min: 150 * this.arena.scale, max: 450 * this.arena.scale },
+                scale: { start: 1.5 * this.arena.scale, end: 0 },
+                alpha: { start: 1, end: 0 },
+                lifespan: 600,
+                tint: box.impactColors,
+                emitting: false
+            }).setDepth(depth + 2);
+            burst.explode(Math.max(1, Math.round(30 * quality.quantity)));
+            this.scene.time.delayedCall(700, () => burst.destroy());
+        }
+
+        // Shockwave ring in screen space: it spreads by a share of the canvas, not of the arena
+        if (!this.reducedMotion) {
+            const { width, height } = this.scene.scale.gameSize;
+            const ring = this.scene.add.circle(x, y, 16)
+                .setStrokeStyle(6, box.impactColors[0], 1)
+                .setScrollFactor(0)
+                .setDepth(depth + 2);
+            this.scene.tweens.add({
+                targets: ring,
+                radius: Math.min(width, height) * 0.2,
+                alpha: 0,
+                duration: 500,
+                ease: 'Cubic.easeOut',
+                onComplete: () => ring.destroy()
+            });
+            this.scene.cameras.main.shake(150, 0.004);
+        }
+
+        this.boxes.delete(box);
+        this.scene.tweens.add({
+            targets: [box.text, box.container],
+            alpha: 0,
+            scale: this.arena.scale * (this.reducedMotion ? 1 : 1.3),
+            duration: 400,
+            ease: 'Power2',
+            onComplete: () => this.destroy(box)
+        });
+    }
+
+    /**
+     * Report a projectile as landed, once
+     * @param {object} box - The object returned by create()
+     */
+    land(box) {
+        if (box.mode !== 'projectile' || box.landed) return;
+        box.landed = true;
+        if (box.onImpact) box.onImpact();
+    }
+
+    /**
+     * Draw a translucent shield around a barrier box, behind the box itself
+     * @param {object} box - The object returned by create()
+     * @param {number} bw - Box width
+     * @param {number} bh - Box height
+     * @param {object} colors - Color configuration {text, background, border}
+     */
+    addShield(box, bw, bh, colors = {}) {
+        const color = colors?.border ?? 0x93c5fd;
+        const shield = this.scene.add.graphics();
+        shield.fillStyle(color, 0.15);
+        shield.fillEllipse(0, 0, bw + 80, bh + 120);
+        shield.lineStyle(4, color, 0.8);
+        shield.strokeEllipse(0, 0, bw + 80, bh + 120);
+        box.container.addAt(shield, 0);
+        box.shield = shield;
+    }
+
+    /**
+     * Get (creating it the first time) a round particle texture with rings in the given colors
+     * @param {Array<number>} colors - Colors from the outside in
+     * @returns {string} - Texture key
+     */
+    getParticleTexture(colors) {
+        const textureName = `particle_${colors.join('_')}`;
         
-        // Create particle texture if it doesn't exist
         if (!this.particleTexturesCreated.has(textureName) && !this.scene.textures.exists(textureName)) {
             const particleGraphics = this.scene.add.graphics();
             
             // Draw multi-colored circle using provided colors
-            const colors = particleConfig.colors;
-            const numColors = colors.length;
-            
-            for (let i = 0; i < numColors; i++) {
+            colors.forEach((color, i) => {
                 const radius = 8 - (i * 2);
                 if (radius > 0) {
-                    particleGraphics.fillStyle(colors[i], 1);
+                    particleGraphics.fillStyle(color, 1);
                     particleGraphics.fillCircle(8, 8, radius);
                 }
-            }
+            });
             
             particleGraphics.generateTexture(textureName, 16, 16);
             particleGraphics.destroy();
             this.particleTexturesCreated.add(textureName);
         }
+        return textureName;
+    }
+
+    /**
+     * Create custom particle effect from Gemini config
+     * @param {Object} particleConfig - Particle configuration from Gemini
+     * @param {Phaser.GameObjects.Container} container - Container to attach particles to
+     * @param {number} depth - Depth layer for particles
+     * @returns {Phaser.GameObjects.Particles.ParticleEmitter|null} - null when the player turned particles off
+     */
+    createCustomParticleEffect(particleConfig, container, depth) {
+        // The player's particle quality thins out (or turns off) every emitter
+        const quality = PARTICLE_QUALITY[getGameSettings().particleQuality];
+        if (!quality) return null;
+
+        const textureName = this.getParticleTexture(particleConfig.colors);
         
         // Create emitter with Gemini-provided config
         const emitter = this.scene.add.particles(0, 0, textureName, {
@@ -238,8 +598,8 @@ export class TextBoxCreator {
             scale: particleConfig.scale || { start: 2, end: 0.5 },
             alpha: { start: 0.9, end: 0 },
             lifespan: particleConfig.lifespan || 1200,
-            frequency: particleConfig.frequency || 30,
-            quantity: particleConfig.quantity || 3,
+            frequency: (particleConfig.frequency || 30) * quality.frequency,
+            quantity: Math.max(1, Math.round((particleConfig.quantity || 3) * quality.quantity)),
             blendMode: 'NORMAL',
             tint: particleConfig.colors
         });
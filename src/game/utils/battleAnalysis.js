@@ -0,0 +1,56 @@
+import { classifyMessage } from '../systems/RulesEngine.js';
+
+/**
+ * Analysis of the recent battle history, shared by the effects providers.
+ * Classification itself lives in the rules engine.
+ */
+
+/**
+ * Detect the element a message refers to
+ * @param {string} text - Message text
+ * @returns {string|null} - An element from the rules engine, or null
+ */
+export function detectElement(text) {
+    return classifyMessage(text).element;
+}
+
+/**
+ * Check whether a message is an attack
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+export function isAttack(text) {
+    const { action } = classifyMessage(text);
+    return action === 'attack' || action === 'ultimate';
+}
+
+/**
+ * Check whether a message is defensive
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+export function isDefense(text) {
+    const { action } = classifyMessage(text);
+    return action === 'defend' || action === 'dodge';
+}
+
+/**
+ * Summarise the battle so far
+ * @param {Array<{text: string}>} history - Recent conversation history entries
+ * @returns {object} - {attackCount, lastAttackType, intensity} where intensity is 'LOW', 'MEDIUM' or 'HIGH'
+ */
+export function analyzeBattle(history) {
+    let attackCount = 0;
+    let lastAttackType = null;
+
+    history.forEach(msg => {
+        if (isAttack(msg.text)) {
+            attackCount++;
+            // Detect element type from last attack
+            lastAttackType = detectElement(msg.text) ?? lastAttackType;
+        }
+    });
+
+    const intensity = attackCount < 2 ? 'LOW' : attackCount < 4 ? 'MEDIUM' : 'HIGH';
+    return { attackCount, lastAttackType, intensity };
+}
@@ -0,0 +1,211 @@
+import { validateEffects } from './EffectsValidator.js';
+import { normalizeMatchSettings } from '../systems/matchSettings.js';
+import { normalizeRoundScores } from '../systems/rounds.js';
+
+/**
+ * Portable match files: a versioned JSON document with everything needed to
+ * re-watch a battle outside TalkJS.
+ */
+
+export const MATCH_FORMAT = 'thelastword-match';
+export const MATCH_FORMAT_VERSION = 1;
+
+/**
+ * JSON Schema (draft-07) of a match file. validateMatchDocument() enforces it;
+ * effects payloads are additionally clamped by the effects validator.
+ */
+export const MATCH_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'The Last Word match',
+    type: 'object',
+    required: ['format', 'version', 'exportedAt', 'players', 'messages', 'turnOrder', 'outcome'],
+    properties: {
+        format: { const: MATCH_FORMAT },
+        version: { const: MATCH_FORMAT_VERSION },
+        exportedAt: { type: 'string', format: 'date-time' },
+        roomCode: { type: ['string', 'null'] },
+        players: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 2,
+            description: 'Combatants, left wizard first',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' }
+                }
+            }
+        },
+        settings: {
+            type: ['object', 'null'],
+            description: 'Match settings the room was created with {turnTimeLimit, onTimeout, rounds}'
+        },
+        messages: {
+            type: 'array',
+            description: 'Every message of the match in the order it was sent',
+            items: {
+                type: 'object',
+                required: ['id', 'senderId', 'senderName', 'text', 'effects', 'timestamp'],
+                properties: {
+                    id: { type: 'string' },
+                    senderId: { type: ['string', 'null'] },
+                    senderName: { type: 'string' },
+                    text: { type: 'string' },
+                    effects: {
+                        type: ['object', 'null'],
+                        description: 'Effects payload as rendered by TextBoxCreator (see EffectsValidator)'
+                    },
+                    round: {
+                        type: ['object', 'null'],
+                        description: 'Judged scores of the round this message closed {round, judge, scores}'
+                    },
+                    timestamp: { type: 'number', description: 'Milliseconds since the epoch' }
+                }
+            }
+        },
+        turnOrder: {
+            type: 'array',
+            description: 'Sender ID of each message, in order',
+            items: { type: ['string', 'null'] }
+        },
+        outcome: {
+            type: ['object', 'null'],
+            description: 'null while the match is unfinished',
+            required: ['winnerId', 'reason'],
+            properties: {
+                winnerId: { type: ['string', 'null'] },
+                reason: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Build a match file document from a recorded match
+ * @param {object} match - Match log from MatchRecorder
+ * @returns {object} - Document matching MATCH_SCHEMA
+ */
+export function createMatchDocument(match) {
+    const messages = match.messages.slice().sort((a, b) => a.timestamp - b.timestamp);
+    return {
+        format: MATCH_FORMAT,
+        version: MATCH_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        roomCode: match.roomCode ?? null,
+        players: match.players.map(({ id, name }) => ({ id, name })),
+        settings: match.settings ?? null,
+        messages: messages.map(({ id, senderId, senderName, text, effects, round, timestamp }) => ({
+            id, senderId, senderName, text, effects, round: round ?? null, timestamp
+        })),
+        turnOrder: messages.map(m => m.senderId),
+        outcome: match.outcome ?? null
+    };
+}
+
+/**
+ * Validate a match file document
+ * @param {*} doc - Parsed JSON
+ * @returns {{valid: boolean, errors: Array<string>, match: object|null}} -
+ *   match is a match log the Replay scene can play, null when invalid
+ */
+export function validateMatchDocument(doc) {
+    const errors = [];
+    const isString = value => typeof value === 'string';
+
+    if (!doc || typeof doc !== 'object') {
+        return { valid: false, errors: ['File is not a JSON object'], match: null };
+    }
+    if (doc.format !== MATCH_FORMAT) {
+        errors.push(`format must be "${MATCH_FORMAT}"`);
+    }
+    if (doc.version !== MATCH_FORMAT_VERSION) {
+        errors.push(`Unsupported version ${JSON.stringify(doc.version)} (expected ${MATCH_FORMAT_VERSION})`);
+    }
+    if (!Array.isArray(doc.players) || doc.players.length !== 2 ||
+        !doc.players.every(p => p && isString(p.id) && isString(p.name))) {
+        errors.push('players must list exactly two {id, name} entries');
+    }
+    if (!Array.isArray(doc.messages)) {
+        errors.push('messages must be an array');
+    } else {
+        doc.messages.forEach((m, index) => {
+            if (!m || !isString(m.id) || !isString(m.senderName) || !isString(m.text) ||
+                typeof m.timestamp !== 'number' || !(m.senderId === null || isString(m.senderId))) {
+                errors.push(`messages[${index}] is missing id, senderId, senderName, text or timestamp`);
+            }
+        });
+    }
+    if (!Array.isArray(doc.turnOrder) || (Array.isArray(doc.messages) && doc.turnOrder.length !== doc.messages.length)) {
+        errors.push('turnOrder must have one entry per message');
+    }
+    if (doc.outcome !== null && (typeof doc.outcome !== 'object' || !isString(doc.outcome.reason))) {
+        errors.push('outcome must be null or {winnerId, reason}');
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, match: null };
+    }
+
+    // Imported effects get the same clamping as ones received over the wire
+    const messages = doc.messages.map(m => ({
+        id: m.id,
+        senderId: m.senderId,
+        senderName: m.senderName,
+        text: m.text,
+        effects: m.effects ? validateEffects(m.effects).effects : null,
+        round: m.round ? normalizeRoundScores(m.round, {
+            round: Number(m.round.round),
+            speakerIds: Object.keys(m.round.scores || {}).filter(id => doc.players.some(p => p.id === id))
+        }) : null,
+        timestamp: m.timestamp
+    }));
+
+    return {
+        valid: true,
+        errors,
+        match: {
+            roomCode: doc.roomCode ?? null,
+            startedAt: messages[0]?.timestamp ?? Date.parse(doc.exportedAt),
+            players: doc.players.map(({ id, name }) => ({ id, name })),
+            settings: doc.settings ? normalizeMatchSettings(doc.settings) : null,
+            messages,
+            outcome: doc.outcome
+        }
+    };
+}
+
+/**
+ * Download a match as a JSON file
+ * @param {object} match - Match log from MatchRecorder
+ */
+export function downloadMatch(match) {
+    const doc = createMatchDocument(match);
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `thelastword-${doc.roomCode || 'match'}-${doc.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away cancels the download in some browsers (Firefox, Safari)
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read and validate a match file picked by the user
+ * @param {File} file
+ * @returns {Promise<{valid: boolean, errors: Array<string>, match: object|null}>}
+ */
+export async function readMatchFile(file) {
+    let doc;
+    try {
+        doc = JSON.parse(await file.text());
+    } catch (e) {
+        return { valid: false, errors: ['File is not valid JSON'], match: null };
+    }
+    return validateMatchDocument(doc);
+}